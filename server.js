@@ -2,34 +2,196 @@ const express = require('express');
 const puppeteer = require('puppeteer');
 const Database = require('better-sqlite3');
 const cors = require('cors');
+const { CronExpressionParser } = require('cron-parser');
+const mime = require('mime-types');
+const multer = require('multer');
+const AdmZip = require('adm-zip');
+const archiver = require('archiver');
+const Mustache = require('mustache');
+const promClient = require('prom-client');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const os = require('os');
 const path = require('path');
 const fs = require('fs');
+const http = require('http');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const CHROME_PATH = process.env.CHROME_EXECUTABLE_PATH || '/usr/bin/google-chrome';
 const DOWNLOAD_PATH = process.env.DOWNLOAD_PATH || '/tmp/puppeteer-downloads';
+const OUTPUT_PATH = process.env.OUTPUT_PATH || '/tmp/pdf-output';
+const SOURCE_PATH = process.env.SOURCE_PATH || '/tmp/pdf-sources';
 
 // Puppeteer timeout and wait configurations (in milliseconds)
 const PAGE_GOTO_TIMEOUT = 900000; // 15 minutes
-const WAIT_AFTER_NETWORKIDLE = 180000; // 3 minutes
-const FALLBACK_WAIT_TIME = 120000; // 2 minutes
+const DEFAULT_WAIT_TIMEOUT = 300000; // 5 minutes, how long a job waits for its completion conditions by default
+const MAX_WAIT_TIMEOUT = 3600000; // 1 hour, the longest completion timeout a job may request
+const DEFAULT_NETWORK_IDLE = 1000; // Quiet network time that finishes a job without waitFor
+const NETWORK_IDLE_POLL_INTERVAL = 250; // How often quiet network time is checked
+const PDF_RENDER_TIMEOUT = 300000; // 5 minutes
+const DOWNLOAD_COMPLETION_TIMEOUT = 600000; // 10 minutes
 const MAX_VIEWPORT_WIDTH = 10000; // Maximum viewport width in pixels
 const MAX_VIEWPORT_HEIGHT = 10000; // Maximum viewport height in pixels
 
-// Ensure download directory exists
-try {
-    if (!fs.existsSync(DOWNLOAD_PATH)) {
-        fs.mkdirSync(DOWNLOAD_PATH, { recursive: true });
-        console.log(`[Init] Created download directory: ${DOWNLOAD_PATH}`);
-    } else {
-        console.log(`[Init] Download directory exists: ${DOWNLOAD_PATH}`);
+// API keys. Without ADMIN_API_KEY every route is open, as it was before keys existed.
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || '';
+const AUTH_ENABLED = Boolean(ADMIN_API_KEY);
+const API_KEY_SCOPES = ['submit', 'read', 'admin', 'metrics'];
+const DEFAULT_RATE_LIMIT = { perMinute: 60, burst: 20 };
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+
+// Webhook callbacks sent when a job finishes
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || '';
+const WEBHOOK_MAX_ATTEMPTS = Math.max(1, parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6);
+const WEBHOOK_TIMEOUT = 10000; // 10 seconds per delivery attempt
+const WEBHOOK_RETRY_POLICY = { backoff: 10000, maxBackoff: 3600000 }; // 10 seconds doubling up to 1 hour
+const WEBHOOK_POLL_INTERVAL = 5000; // How often due deliveries are looked for
+const MAX_CALLBACK_HEADERS = 20;
+
+// Outbound URL policy: what job pages may load, checked at submission and for every request of the page
+const URL_ALLOWED_SCHEMES = (process.env.URL_ALLOWED_SCHEMES || 'http,https').split(',').map(scheme => scheme.trim().toLowerCase()).filter(Boolean);
+const URL_ALLOWED_HOSTS = (process.env.URL_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+const URL_DENIED_HOSTS = (process.env.URL_DENIED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+const URL_ALLOW_PRIVATE_NETWORKS = process.env.URL_ALLOW_PRIVATE_NETWORKS === 'true';
+const HOST_LOOKUP_CACHE_TTL = 30000; // How long the addresses a host resolved to are reused
+const MAX_HOST_LOOKUP_CACHE_SIZE = 1000;
+const MAX_TUNNEL_PORTS = 1000; // How many host ports outside the defaults the egress proxy remembers
+
+// Raw HTML and uploaded documents, served to the page from a private origin per job
+const SOURCE_ORIGIN_DOMAIN = 'pdf-server.invalid';
+const MAX_HTML_SIZE = 5 * 1024 * 1024; // 5 MB
+const MAX_UPLOAD_SIZE = 25 * 1024 * 1024; // 25 MB, the uploaded file itself
+const MAX_UNPACKED_SIZE = 100 * 1024 * 1024; // 100 MB, all files of an unpacked zip
+const MAX_UPLOAD_FILES = 1000;
+
+// Per-job browser context settings
+const MAX_EXTRA_HEADERS = 50;
+const MAX_COOKIES = 100;
+const MAX_STORAGE_ITEMS = 100;
+const COOKIE_SAME_SITE_VALUES = ['Strict', 'Lax', 'None'];
+const MEDIA_TYPES = ['screen', 'print'];
+// Permissions a job may grant its page, as named by BrowserContext.overridePermissions()
+const BROWSER_PERMISSIONS = [
+    'accelerometer', 'ambient-light-sensor', 'background-sync', 'camera', 'clipboard-read', 'clipboard-sanitized-write',
+    'clipboard-write', 'geolocation', 'gyroscope', 'idle-detection', 'keyboard-lock', 'magnetometer', 'microphone',
+    'midi', 'midi-sysex', 'notifications', 'payment-handler', 'persistent-storage', 'pointer-lock'
+];
+const DEFAULT_PERMISSIONS = ['notifications'];
+const REDACTED = '[redacted]'; // Replaces secrets in the jobs, schedules and templates returned by the API
+const HAR_REDACTED_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie']; // Headers never written to a HAR file
+
+// Retention: finished jobs older than this many days are removed with their files (0 keeps them forever)
+const RETENTION_DAYS = Math.max(0, parseFloat(process.env.RETENTION_DAYS) || 0);
+const RETENTION_FAILED_DAYS = process.env.RETENTION_FAILED_DAYS === undefined
+    ? RETENTION_DAYS
+    : Math.max(0, parseFloat(process.env.RETENTION_FAILED_DAYS) || 0);
+const RETENTION_ARCHIVE_PATH = process.env.RETENTION_ARCHIVE_PATH || ''; // Removed jobs are appended here as NDJSON when set
+const CLEANUP_INTERVAL = Math.max(60000, parseInt(process.env.CLEANUP_INTERVAL, 10) || 3600000); // 1 hour
+const CLEANUP_BATCH_SIZE = 500; // Jobs removed per transaction
+const VACUUM_INTERVAL = 86400000; // The sweeper vacuums the database at most once a day
+const ORPHANED_FILE_MIN_AGE = 3600000; // Files of unknown jobs younger than 1 hour may belong to a job being created
+
+// GET /queue filters, sorting and pages
+const JOB_STATES = ['Waiting', 'Running', 'Executed', 'Cancelled'];
+// Sort fields and the SQL they sort by; jobs that have not started or finished yet sort as the earliest
+const QUEUE_SORT_FIELDS = {
+    id: 'id',
+    requestedAt: 'requestedAt',
+    startedAt: "COALESCE(startedAt, '')",
+    finishedAt: "COALESCE(finishedAt, '')",
+    priority: 'priority'
+};
+const DEFAULT_QUEUE_LIMIT = 100;
+const MAX_QUEUE_LIMIT = 1000;
+
+// GET /events Server-Sent Events stream
+const QUEUE_EVENT_BUFFER_SIZE = 1000; // Latest events kept for clients that reconnect with Last-Event-ID
+const QUEUE_EVENT_KEEPALIVE_INTERVAL = 15000; // Comment lines that keep idle streams open through proxies
+const QUEUE_EVENT_RETRY = 3000; // How long clients wait before reconnecting
+const MAX_QUEUE_EVENT_BACKLOG = 1024 * 1024; // A client this far behind is disconnected, to resume from Last-Event-ID
+
+// POST /render, which answers with the job's output once it has finished
+const RENDER_DEFAULT_TIMEOUT = 60000; // 1 minute
+const RENDER_MAX_TIMEOUT = 600000; // 10 minutes
+const RENDER_POLL_INTERVAL = 1000; // How often a waiting render checks on jobs that other processes run
+
+// Batches
+const MAX_BATCH_JOBS = 1000;
+
+// Network capture (HAR) limits
+const DEFAULT_CAPTURED_BODY_SIZE = 1024 * 1024; // 1 MB
+const MAX_CAPTURED_BODY_SIZE = 10 * 1024 * 1024; // 10 MB
+
+// Page events stored per job
+const MAX_JOB_EVENTS = Math.max(1, parseInt(process.env.MAX_JOB_EVENTS, 10) || 1000);
+const MAX_JOB_EVENT_MESSAGE_LENGTH = 4000;
+const JOB_EVENT_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Recurring schedules
+const SCHEDULE_POLL_INTERVAL = 10000; // How often due schedules are looked for
+const SCHEDULE_MISFIRE_GRACE = 60000; // A run this late still counts as on time under the skip policy
+const MAX_CATCH_UP_RUNS = 100; // Most missed runs enqueued at once under the catchUp policy
+const MISSED_RUN_POLICIES = ['skip', 'catchUp'];
+
+// Job priorities: higher runs first, and a waiting job gains one point of
+// priority for every PRIORITY_AGING_INTERVAL it has been due
+const MIN_PRIORITY = -100;
+const MAX_PRIORITY = 100;
+const PRIORITY_AGING_INTERVAL = Math.max(1000, parseInt(process.env.PRIORITY_AGING_INTERVAL, 10) || 60000);
+
+// Retry defaults for jobs that do not send their own retry policy
+const DEFAULT_MAX_ATTEMPTS = Math.max(1, parseInt(process.env.DEFAULT_MAX_ATTEMPTS, 10) || 3);
+const DEFAULT_RETRY_BACKOFF = 10000; // 10 seconds before the first retry, doubled for every further attempt
+const DEFAULT_RETRY_MAX_BACKOFF = 600000; // 10 minutes
+const MAX_ATTEMPTS_LIMIT = 10;
+
+// Job leases: a running job is owned by the process that claimed it for as long
+// as that process keeps renewing the lease. Jobs whose lease runs out (e.g. the
+// server died mid-job) are recovered according to ORPHANED_JOB_POLICY.
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const LEASE_DURATION = 60000; // 1 minute
+const HEARTBEAT_INTERVAL = 15000; // Lease renewal and orphan check interval
+const ORPHANED_JOB_POLICY = process.env.ORPHANED_JOB_POLICY === 'fail' ? 'fail' : 'requeue';
+
+// Worker pool configuration
+const WORKER_CONCURRENCY = Math.max(1, parseInt(process.env.WORKER_CONCURRENCY, 10) || 1); // Jobs rendered at the same time
+const BROWSER_MAX_JOBS = Math.max(1, parseInt(process.env.BROWSER_MAX_JOBS, 10) || 50); // Jobs a browser renders before it is recycled
+const IDLE_POLL_INTERVAL = 5000; // How often idle workers look for new jobs
+
+// Health checks and metrics
+const WORKER_STALL_TIMEOUT = 60000; // An idle dispatcher or a running job silent for this long fails the liveness check
+const BROWSER_CHECK_INTERVAL = 60000; // How long the outcome of a browser launch answers readiness checks
+const JOB_DURATION_BUCKETS = [1, 2, 5, 10, 30, 60, 120, 300, 600, 1800]; // Seconds
+const JOB_WAIT_BUCKETS = [0.1, 0.5, 1, 5, 10, 30, 60, 300, 900, 3600]; // Seconds
+
+/**
+ * Creates a directory if it is missing and exits the process if that fails,
+ * since the worker cannot do anything useful without it
+ */
+function ensureDirectory(dirPath, envName, purpose) {
+    try {
+        if (!fs.existsSync(dirPath)) {
+            fs.mkdirSync(dirPath, { recursive: true });
+            console.log(`[Init] Created ${purpose} directory: ${dirPath}`);
+        } else {
+            console.log(`[Init] Using existing ${purpose} directory: ${dirPath}`);
+        }
+    } catch (err) {
+        console.error(`[Init] CRITICAL: Failed to create ${purpose} directory: ${err.message}`);
+        console.error(`[Init] Jobs will not work without a valid ${purpose} directory`);
+        console.error(`[Init] Please ensure the path is writable or set ${envName} environment variable`);
+        process.exit(1);
     }
-} catch (err) {
-    console.error(`[Init] CRITICAL: Failed to create download directory: ${err.message}`);
-    console.error(`[Init] Downloads will not work without a valid directory`);
-    console.error(`[Init] Please ensure the path is writable or set DOWNLOAD_PATH environment variable`);
-    process.exit(1);
+}
+
+ensureDirectory(DOWNLOAD_PATH, 'DOWNLOAD_PATH', 'download');
+ensureDirectory(OUTPUT_PATH, 'OUTPUT_PATH', 'output');
+ensureDirectory(SOURCE_PATH, 'SOURCE_PATH', 'source');
+if (RETENTION_ARCHIVE_PATH) {
+    ensureDirectory(RETENTION_ARCHIVE_PATH, 'RETENTION_ARCHIVE_PATH', 'archive');
 }
 
 // Initialize SQLite database
@@ -48,361 +210,6392 @@ db.exec(`
     )
 `);
 
-// Database migration: Add error and success columns for enhanced tracking
-// This migration works for both new installations and existing databases
+// Database migration: columns added to the jobs table after the base schema.
+// This migration works for both new installations and existing databases.
+const JOB_COLUMN_MIGRATIONS = [
+    { name: 'error', definition: 'TEXT' },
+    { name: 'success', definition: 'INTEGER DEFAULT 0' },
+    { name: 'options', definition: 'TEXT' },
+    { name: 'outputPath', definition: 'TEXT' },
+    { name: 'outputFormat', definition: 'TEXT' },
+    { name: 'outputSize', definition: 'INTEGER' },
+    { name: 'workerSlot', definition: 'INTEGER' },
+    { name: 'completedBy', definition: 'TEXT' },
+    { name: 'errorCode', definition: 'TEXT' },
+    { name: 'httpStatus', definition: 'INTEGER' },
+    { name: 'attempts', definition: 'INTEGER DEFAULT 0' },
+    { name: 'runAt', definition: 'TEXT' },
+    { name: 'leaseOwner', definition: 'TEXT' },
+    { name: 'leaseExpiresAt', definition: 'TEXT' },
+    { name: 'heartbeatAt', definition: 'TEXT' },
+    { name: 'priority', definition: 'INTEGER DEFAULT 0' },
+    { name: 'scheduleId', definition: 'INTEGER' },
+    { name: 'networkSummary', definition: 'TEXT' },
+    { name: 'sourceType', definition: "TEXT DEFAULT 'url'" },
+    { name: 'sourcePath', definition: 'TEXT' },
+    { name: 'templateId', definition: 'INTEGER' },
+    { name: 'templateVersion', definition: 'INTEGER' },
+    { name: 'templateData', definition: 'TEXT' },
+    { name: 'apiKeyId', definition: 'INTEGER' },
+    { name: 'keep', definition: 'INTEGER DEFAULT 0' },
+    { name: 'batchId', definition: 'INTEGER' },
+    { name: 'batchIndex', definition: 'INTEGER' },
+    { name: 'batchFileName', definition: 'TEXT' }
+];
+
 try {
     const tableInfo = db.prepare("PRAGMA table_info(jobs)").all();
     const columnNames = tableInfo.map(col => col.name);
     
-    if (!columnNames.includes('error')) {
-        console.log('[DB] Adding error column to jobs table...');
-        db.exec('ALTER TABLE jobs ADD COLUMN error TEXT');
-    }
-    
-    if (!columnNames.includes('success')) {
-        console.log('[DB] Adding success column to jobs table...');
-        db.exec('ALTER TABLE jobs ADD COLUMN success INTEGER DEFAULT 0');
+    for (const column of JOB_COLUMN_MIGRATIONS) {
+        if (!columnNames.includes(column.name)) {
+            console.log(`[DB] Adding ${column.name} column to jobs table...`);
+            db.exec(`ALTER TABLE jobs ADD COLUMN ${column.name} ${column.definition}`);
+        }
     }
     
     console.log('[DB] Database schema is up to date');
 } catch (migrationError) {
     console.error('[DB] CRITICAL: Database migration failed:', migrationError.message);
-    console.error('[DB] The application requires error and success columns to function correctly');
+    console.error('[DB] The application requires the following jobs columns to function correctly:',
+        JOB_COLUMN_MIGRATIONS.map(col => col.name).join(', '));
     console.error('[DB] Recovery options:');
     console.error('[DB]   1. Delete jobs.db and restart (WARNING: all job history will be lost)');
-    console.error('[DB]   2. Manually add columns: ALTER TABLE jobs ADD COLUMN error TEXT; ALTER TABLE jobs ADD COLUMN success INTEGER DEFAULT 0;');
+    console.error('[DB]   2. Manually add the missing columns, e.g. ALTER TABLE jobs ADD COLUMN error TEXT;');
     console.error('[DB]   3. Check database file permissions and ensure it is not corrupted');
     process.exit(1);
 }
 
+// Create artifacts table: files produced by a job (its rendered output and any downloads)
+db.exec(`
+    CREATE TABLE IF NOT EXISTS artifacts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        jobId INTEGER NOT NULL,
+        kind TEXT NOT NULL,
+        name TEXT NOT NULL,
+        path TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        mimeType TEXT NOT NULL,
+        sha256 TEXT NOT NULL,
+        createdAt TEXT NOT NULL,
+        UNIQUE (jobId, name)
+    );
+    CREATE INDEX IF NOT EXISTS idx_artifacts_jobId ON artifacts (jobId);
+`);
+
+// Create job_attempts table: one row per time a worker picked up a job
+db.exec(`
+    CREATE TABLE IF NOT EXISTS job_attempts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        jobId INTEGER NOT NULL,
+        attempt INTEGER NOT NULL,
+        workerSlot INTEGER,
+        startedAt TEXT NOT NULL,
+        finishedAt TEXT,
+        success INTEGER,
+        errorCode TEXT,
+        error TEXT,
+        retryAt TEXT,
+        timings TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_job_attempts_jobId ON job_attempts (jobId);
+`);
+
+// Attempts recorded before phase timings existed have no timings column yet
+if (!db.prepare('PRAGMA table_info(job_attempts)').all().some(column => column.name === 'timings')) {
+    console.log('[DB] Adding timings column to job_attempts table...');
+    db.exec('ALTER TABLE job_attempts ADD COLUMN timings TEXT');
+}
+
+// Create job_events table: console output, page errors and failed requests of a job's pages
+db.exec(`
+    CREATE TABLE IF NOT EXISTS job_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        jobId INTEGER NOT NULL,
+        attempt INTEGER,
+        timestamp TEXT NOT NULL,
+        level TEXT NOT NULL,
+        source TEXT NOT NULL,
+        message TEXT NOT NULL,
+        details TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_job_events_jobId ON job_events (jobId);
+`);
+
+// Create webhook_deliveries table: one row per attempt to deliver a job's or
+// a batch's callback. Pending rows are attempts scheduled for scheduledAt; all
+// attempts of one callback share a deliveryId and the exact same payload.
+// Tables from before batches require a jobId, SQLite can only drop the NOT
+// NULL by copying them into a new table.
+db.transaction(() => {
+    const rebuild = db.prepare('PRAGMA table_info(webhook_deliveries)').all()
+        .some(column => column.name === 'jobId' && column.notnull);
+    if (rebuild) {
+        console.log('[DB] Adding batchId column to webhook_deliveries table...');
+        db.exec(`
+            ALTER TABLE webhook_deliveries RENAME TO webhook_deliveries_old;
+            DROP INDEX IF EXISTS idx_webhook_deliveries_jobId;
+            DROP INDEX IF EXISTS idx_webhook_deliveries_pending;
+        `);
+    }
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS webhook_deliveries (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            deliveryId TEXT NOT NULL,
+            jobId INTEGER,
+            batchId INTEGER,
+            event TEXT NOT NULL,
+            url TEXT NOT NULL,
+            headers TEXT,
+            payload TEXT NOT NULL,
+            attempt INTEGER NOT NULL,
+            state TEXT NOT NULL DEFAULT 'Pending',
+            scheduledAt TEXT NOT NULL,
+            attemptedAt TEXT,
+            durationMs INTEGER,
+            responseStatus INTEGER,
+            responseBody TEXT,
+            error TEXT
+        );
+        CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_jobId ON webhook_deliveries (jobId);
+        CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_batchId ON webhook_deliveries (batchId);
+        CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_pending ON webhook_deliveries (state, scheduledAt);
+    `);
+    if (rebuild) {
+        db.exec(`
+            INSERT INTO webhook_deliveries (id, deliveryId, jobId, event, url, headers, payload, attempt, state, scheduledAt,
+                attemptedAt, durationMs, responseStatus, responseBody, error)
+            SELECT id, deliveryId, jobId, event, url, headers, payload, attempt, state, scheduledAt,
+                attemptedAt, durationMs, responseStatus, responseBody, error
+            FROM webhook_deliveries_old;
+            DROP TABLE webhook_deliveries_old;
+        `);
+    }
+})();
+
+// Create batches table: jobs submitted together, whose progress, outputs and
+// callback are reported as a whole. callback holds the batch's { url, headers }.
+db.exec(`
+    CREATE TABLE IF NOT EXISTS batches (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT,
+        jobCount INTEGER NOT NULL,
+        callback TEXT,
+        apiKeyId INTEGER,
+        createdAt TEXT NOT NULL,
+        finishedAt TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_jobs_batchId ON jobs (batchId);
+`);
+
+// Create schedules table: recurring jobs enqueued from a cron expression.
+// job holds the parsed /runPdf request ({ url, options, priority }) every run is created from.
+db.exec(`
+    CREATE TABLE IF NOT EXISTS schedules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT,
+        cron TEXT NOT NULL,
+        timezone TEXT NOT NULL,
+        missedRunPolicy TEXT NOT NULL,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        job TEXT NOT NULL,
+        nextRunAt TEXT,
+        lastRunAt TEXT,
+        lastJobId INTEGER,
+        createdAt TEXT NOT NULL,
+        updatedAt TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_jobs_scheduleId ON jobs (scheduleId);
+`);
+
+// Create templates tables: HTML templates that are merged with data into documents.
+// Versions are never changed once created, so a job's templateId and
+// templateVersion always point at the exact HTML it was rendered from.
+db.exec(`
+    CREATE TABLE IF NOT EXISTS templates (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        description TEXT,
+        latestVersion INTEGER NOT NULL,
+        createdAt TEXT NOT NULL,
+        updatedAt TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS template_versions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        templateId INTEGER NOT NULL,
+        version INTEGER NOT NULL,
+        html TEXT NOT NULL,
+        options TEXT NOT NULL,
+        createdAt TEXT NOT NULL,
+        UNIQUE (templateId, version)
+    );
+`);
+
+// Create api_keys table. Only the sha256 of each key is stored; the key
+// itself is shown once, when it is created.
+db.exec(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        keyPrefix TEXT NOT NULL,
+        keyHash TEXT NOT NULL UNIQUE,
+        scopes TEXT NOT NULL,
+        maxConcurrentJobs INTEGER,
+        dailyJobQuota INTEGER,
+        rateLimitPerMinute INTEGER NOT NULL,
+        rateLimitBurst INTEGER NOT NULL,
+        quotaDay TEXT,
+        quotaUsed INTEGER NOT NULL DEFAULT 0,
+        createdAt TEXT NOT NULL,
+        lastUsedAt TEXT,
+        revokedAt TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_jobs_apiKeyId ON jobs (apiKeyId);
+`);
+
+// Indexes for filtering and paging through the queue
+db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_jobs_state ON jobs (state);
+    CREATE INDEX IF NOT EXISTS idx_jobs_requestedAt ON jobs (requestedAt);
+`);
+
 // Middleware
-app.use(cors()); // Enable CORS for all endpoints
-app.use(express.json()); // Parse JSON bodies
+// Cross-origin requests are only allowed from CORS_ORIGINS ("*" allows every origin)
+app.use(cors({ origin: CORS_ORIGINS.includes('*') ? true : CORS_ORIGINS }));
+app.use(express.json({ limit: '10mb' })); // Parse JSON bodies, which may carry a whole HTML document
+
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
 
-// Background worker state
-let isProcessing = false;
+// Stands for ADMIN_API_KEY, which is not stored in api_keys
+const BOOTSTRAP_ADMIN_KEY = { id: null, name: 'ADMIN_API_KEY', scopes: ['admin'] };
 
 /**
- * Background worker to process jobs sequentially
+ * Finds the API key a request was sent with, from an "Authorization: Bearer"
+ * or X-API-Key header. Returns null for missing, unknown and revoked keys.
  */
-async function processNextJob() {
-    if (isProcessing) {
-        return; // Already processing a job
+function authenticateRequest(req) {
+    const authorization = req.get('Authorization') || '';
+    const key = authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : (req.get('X-API-Key') || '').trim();
+    if (!key) {
+        return null;
     }
 
-    // Get the next waiting job
-    const job = db.prepare('SELECT * FROM jobs WHERE state = ? ORDER BY id ASC LIMIT 1')
-        .get('Waiting');
-
-    if (!job) {
-        // No jobs waiting, check again after a short delay
-        setTimeout(processNextJob, 5000);
-        return;
+    const keyHash = hashApiKey(key);
+    if (crypto.timingSafeEqual(Buffer.from(keyHash, 'hex'), Buffer.from(hashApiKey(ADMIN_API_KEY), 'hex'))) {
+        return BOOTSTRAP_ADMIN_KEY;
+    }
+    const apiKey = db.prepare('SELECT * FROM api_keys WHERE keyHash = ? AND revokedAt IS NULL').get(keyHash);
+    if (!apiKey) {
+        return null;
     }
+    db.prepare('UPDATE api_keys SET lastUsedAt = ? WHERE id = ?').run(new Date().toISOString(), apiKey.id);
+    return { ...apiKey, scopes: JSON.parse(apiKey.scopes) };
+}
 
-    isProcessing = true;
-    const jobId = job.id;
-    const url = job.url;
+function isAdmin(req) {
+    return !AUTH_ENABLED || req.apiKey.scopes.includes('admin');
+}
 
-    // Update job state to Running
-    const startedAt = new Date().toISOString();
-    db.prepare('UPDATE jobs SET state = ?, startedAt = ? WHERE id = ?')
-        .run('Running', startedAt, jobId);
+/**
+ * Whether the caller may see a job: admins see every job, other keys only
+ * the jobs they submitted
+ */
+function canAccessJob(req, job) {
+    return isAdmin(req) || job.apiKeyId === req.apiKey.id;
+}
 
-    console.log(`[Worker] Processing job ${jobId}: ${url}`);
+/**
+ * Route middleware that lets a request through only with an API key holding
+ * the given scope (admin keys hold every scope). Sets req.apiKey.
+ */
+function requireScope(scope) {
+    return (req, res, next) => {
+        if (!AUTH_ENABLED) {
+            req.apiKey = null;
+            return next();
+        }
+        const apiKey = authenticateRequest(req);
+        if (!apiKey) {
+            return res.status(401).json({
+                success: false,
+                error: 'A valid API key is required (Authorization: Bearer <key> or X-API-Key header)'
+            });
+        }
+        if (!apiKey.scopes.includes(scope) && !apiKey.scopes.includes('admin')) {
+            return res.status(403).json({
+                success: false,
+                error: `This API key does not have the ${scope} scope`
+            });
+        }
+        req.apiKey = apiKey;
+        next();
+    };
+}
 
-    let browser = null;
+// Token buckets of the submission rate limit, by API key ID
+const rateLimitBuckets = new Map();
 
-    try {
-        // Launch Puppeteer browser
-        browser = await puppeteer.launch({
-            headless: true,
-            executablePath: CHROME_PATH,
-            args: [
-                '--no-sandbox',
-                '--disable-setuid-sandbox',
-                '--disable-dev-shm-usage',
-                '--disable-gpu'
-            ]
-        });
+function getQuotaDay() {
+    return new Date().toISOString().slice(0, 10);
+}
 
-        const page = await browser.newPage();
+/**
+ * Route middleware for job submissions: takes a token from the key's rate
+ * limit bucket and checks its daily job quota. Answers 429 when either is
+ * exhausted.
+ */
+function enforceSubmissionLimits(req, res, next) {
+    const apiKey = req.apiKey;
+    if (!apiKey || apiKey.id === null) {
+        return next();
+    }
 
-        // Enable download behavior
-        const client = await page.target().createCDPSession();
-        await client.send('Page.setDownloadBehavior', {
-            behavior: 'allow',
-            downloadPath: DOWNLOAD_PATH
+    const now = Date.now();
+    const bucket = rateLimitBuckets.get(apiKey.id) || { tokens: apiKey.rateLimitBurst, updatedAt: now };
+    bucket.tokens = Math.min(apiKey.rateLimitBurst, bucket.tokens + (now - bucket.updatedAt) / 60000 * apiKey.rateLimitPerMinute);
+    bucket.updatedAt = now;
+    rateLimitBuckets.set(apiKey.id, bucket);
+    if (bucket.tokens < 1) {
+        const retryAfter = Math.ceil((1 - bucket.tokens) / apiKey.rateLimitPerMinute * 60);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+            success: false,
+            error: `Rate limit of ${apiKey.rateLimitPerMinute} submissions per minute exceeded, retry in ${retryAfter}s`
         });
-        console.log(`[Worker] Enabled download behavior (path: ${DOWNLOAD_PATH})`);
+    }
 
-        // Set a reasonable viewport (will be adjusted dynamically later)
-        await page.setViewport({
-            width: 1280,
-            height: 720
+    const quotaUsed = apiKey.quotaDay === getQuotaDay() ? apiKey.quotaUsed : 0;
+    if (apiKey.dailyJobQuota !== null && quotaUsed >= apiKey.dailyJobQuota) {
+        return res.status(429).json({
+            success: false,
+            error: `Daily quota of ${apiKey.dailyJobQuota} jobs used up, it resets at midnight UTC`
         });
+    }
 
-        // Grant permissions for notifications and other features
-        try {
-            const context = browser.defaultBrowserContext();
-            const urlOrigin = new URL(url).origin;
-            await context.overridePermissions(urlOrigin, ['notifications']);
-            console.log(`[Worker] Granted permissions for ${urlOrigin}`);
-        } catch (permError) {
-            console.warn(`[Worker] Could not grant permissions: ${permError.message}`);
-        }
+    bucket.tokens -= 1;
+    next();
+}
 
-        // Setup dialog handler for popup auto-clicking
-        page.on('dialog', async dialog => {
-            console.log(`[Worker] Dialog detected: ${dialog.type()} - ${dialog.message()}`);
-            await dialog.accept();
-            console.log('[Worker] Dialog auto-accepted');
-        });
+/**
+ * Counts submitted jobs (one unless count is given) against their API key's daily quota
+ */
+function countJobAgainstQuota(apiKey, count = 1) {
+    if (!apiKey || apiKey.id === null) {
+        return;
+    }
+    const quotaDay = getQuotaDay();
+    db.prepare(`
+        UPDATE api_keys SET quotaUsed = CASE WHEN quotaDay = ? THEN quotaUsed + ? ELSE ? END, quotaDay = ?
+        WHERE id = ?
+    `).run(quotaDay, count, count, quotaDay, apiKey.id);
+}
 
-        // Log console messages from the page
-        page.on('console', msg => {
-            const type = msg.type();
-            const text = msg.text();
-            console.log(`[Worker] Page console.${type}: ${text}`);
-        });
+/**
+ * Error thrown while validating a job submission; routes turn it into a 400 response
+ */
+class ValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ValidationError';
+    }
+}
 
-        // Log page errors
-        page.on('pageerror', error => {
-            console.error(`[Worker] Page error: ${error.message}`);
-        });
+// Output formats a job can produce, with the file extension and content type they are served with
+const OUTPUT_FORMATS = {
+    pdf: { extension: 'pdf', contentType: 'application/pdf' },
+    png: { extension: 'png', contentType: 'image/png' },
+    jpeg: { extension: 'jpg', contentType: 'image/jpeg' },
+    webp: { extension: 'webp', contentType: 'image/webp' }
+};
+const DEFAULT_VIEWPORT = { width: 1280, height: 720 };
+const NAVIGATION_WAIT_UNTIL = ['load', 'domcontentloaded', 'networkidle0', 'networkidle2'];
+// Categories stored in the jobs.errorCode column so clients can react to failures programmatically
+const ERROR_CODES = [
+    'navigation_timeout', // The page did not finish loading in time
+    'dns', // The host name could not be resolved
+    'network', // Connection refused, reset, TLS failures and other net::ERR_* errors
+    'http_status', // The page responded with an HTTP error status
+    'browser_crash', // Chrome failed to launch, crashed or lost its connection
+    'script_error', // Evaluating a completion predicate or other page script failed
+    'wait_timeout', // No completion condition was met and waitFor.timeoutAction is "fail"
+    'render_error', // The output or the page's downloads could not be produced
+    'blocked_url', // The page URL, or a redirect of it, is not allowed by the URL policy
+    'worker_lost', // The worker stopped renewing the job's lease, e.g. the server restarted mid-job
+    'cancelled', // The job was cancelled while it was running (only recorded in its attempt history)
+    'unknown'
+];
+const DEFAULT_RETRY_ON = ['navigation_timeout', 'network', 'browser_crash'];
 
-        // Log failed requests
-        page.on('requestfailed', request => {
-            console.error(`[Worker] Request failed: ${request.url()} - ${request.failure()?.errorText || 'unknown error'}`);
-        });
+const PAPER_FORMATS = ['letter', 'legal', 'tabloid', 'ledger', 'a0', 'a1', 'a2', 'a3', 'a4', 'a5', 'a6'];
+const CSS_LENGTH_PATTERN = /^\d+(\.\d+)?(px|in|cm|mm)?$/;
+const PAGE_RANGES_PATTERN = /^\s*\d+(\s*-\s*\d*)?(\s*,\s*\d+(\s*-\s*\d*)?)*\s*$/;
 
-        // Setup page close event listener
-        let pageClosedByScript = false;
-        page.on('close', () => {
-            console.log('[Worker] Page closed by script');
-            pageClosedByScript = true;
-        });
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validateBoolean(value, name) {
+    if (typeof value !== 'boolean') {
+        throw new ValidationError(`${name} must be a boolean`);
+    }
+    return value;
+}
 
-        console.log(`[Worker] Navigating to URL: ${url}`);
+/**
+ * Validates a CSS length as accepted by page.pdf(): a number of pixels or a
+ * string with a px, in, cm or mm unit
+ */
+function validateCssLength(value, name) {
+    if (typeof value === 'number' && Number.isFinite(value) && value >= 0) {
+        return value;
+    }
+    if (typeof value === 'string' && CSS_LENGTH_PATTERN.test(value.trim())) {
+        return value.trim();
+    }
+    throw new ValidationError(`${name} must be a non-negative number of pixels or a string with a px, in, cm or mm unit`);
+}
 
-        // Navigate to the URL and wait for network to be idle (15 minutes timeout)
-        const navigationStart = Date.now();
-        await page.goto(url, {
-            waitUntil: 'networkidle0',
-            timeout: PAGE_GOTO_TIMEOUT
-        });
-        const navigationTime = ((Date.now() - navigationStart) / 1000).toFixed(2);
-        console.log(`[Worker] Page loaded in ${navigationTime}s, waiting for any async operations...`);
+/**
+ * Validates the "pdf" section of a job submission and returns the options
+ * that will be passed to page.pdf() by the worker
+ */
+function parsePdfOptions(input) {
+    if (input === undefined || input === null) {
+        return {};
+    }
+    if (!isPlainObject(input)) {
+        throw new ValidationError('pdf must be an object');
+    }
 
-        // Wait for processing after networkidle0
-        const waitStart = Date.now();
-        await new Promise(resolve => setTimeout(resolve, WAIT_AFTER_NETWORKIDLE));
-        console.log(`[Worker] Waited ${((Date.now() - waitStart) / 1000).toFixed(2)}s after network idle`);
+    const pdf = {};
 
-        // If page hasn't closed yet, wait additional time as fallback
-        if (!pageClosedByScript && !page.isClosed()) {
-            console.log('[Worker] Page still open, waiting additional time...');
-            const fallbackStart = Date.now();
-            await new Promise(resolve => setTimeout(resolve, FALLBACK_WAIT_TIME));
-            console.log(`[Worker] Waited additional ${((Date.now() - fallbackStart) / 1000).toFixed(2)}s`);
+    if (input.format !== undefined) {
+        if (typeof input.format !== 'string' || !PAPER_FORMATS.includes(input.format.toLowerCase())) {
+            throw new ValidationError(`pdf.format must be one of: ${PAPER_FORMATS.join(', ')}`);
         }
+        pdf.format = input.format.toLowerCase();
+    }
 
-        // Update viewport to match page content dimensions for full-page rendering
-        if (!page.isClosed()) {
-            try {
-                const dimensions = await page.evaluate(() => {
-                    return {
-                        width: Math.max(
-                            document.documentElement.scrollWidth,
-                            document.body.scrollWidth,
-                            document.documentElement.offsetWidth,
-                            document.body.offsetWidth,
-                            document.documentElement.clientWidth,
-                            document.body.clientWidth
-                        ),
-                        height: Math.max(
-                            document.documentElement.scrollHeight,
-                            document.body.scrollHeight,
-                            document.documentElement.offsetHeight,
-                            document.body.offsetHeight,
-                            document.documentElement.clientHeight,
-                            document.body.clientHeight
-                        )
-                    };
-                });
-                
-                // Validate dimensions are positive finite numbers
-                if (Number.isFinite(dimensions.width) && dimensions.width > 0 && 
-                    Number.isFinite(dimensions.height) && dimensions.height > 0) {
-                    // Apply reasonable limits to prevent excessive memory usage
-                    const viewportWidth = Math.min(dimensions.width, MAX_VIEWPORT_WIDTH);
-                    const viewportHeight = Math.min(dimensions.height, MAX_VIEWPORT_HEIGHT);
-                    
-                    console.log(`[Worker] Adjusting viewport to full page: ${viewportWidth}x${viewportHeight}`);
-                    await page.setViewport({
-                        width: viewportWidth,
-                        height: viewportHeight
-                    });
-                } else {
-                    console.warn('[Worker] Invalid page dimensions, keeping default viewport');
-                }
-            } catch (viewportError) {
-                console.warn('[Worker] Could not adjust viewport:', viewportError.message);
-            }
+    if (input.width !== undefined || input.height !== undefined) {
+        if (pdf.format) {
+            throw new ValidationError('pdf.format cannot be combined with pdf.width/pdf.height');
+        }
+        if (input.width === undefined || input.height === undefined) {
+            throw new ValidationError('pdf.width and pdf.height must be given together');
         }
+        pdf.width = validateCssLength(input.width, 'pdf.width');
+        pdf.height = validateCssLength(input.height, 'pdf.height');
+    }
 
-        console.log(`[Worker] Job ${jobId} completed successfully`);
+    if (input.margin !== undefined) {
+        if (!isPlainObject(input.margin)) {
+            throw new ValidationError('pdf.margin must be an object with top, right, bottom and/or left');
+        }
+        pdf.margin = {};
+        for (const side of ['top', 'right', 'bottom', 'left']) {
+            if (input.margin[side] !== undefined) {
+                pdf.margin[side] = validateCssLength(input.margin[side], `pdf.margin.${side}`);
+            }
+        }
+    }
 
-        // Close browser if it's still open
-        if (browser) {
-            await browser.close();
-            browser = null;
+    if (input.scale !== undefined) {
+        if (typeof input.scale !== 'number' || !(input.scale >= 0.1 && input.scale <= 2)) {
+            throw new ValidationError('pdf.scale must be a number between 0.1 and 2');
         }
+        pdf.scale = input.scale;
+    }
 
-        // Update job state to Executed with success flag and null error
-        const finishedAt = new Date().toISOString();
-        db.prepare('UPDATE jobs SET state = ?, finishedAt = ?, success = ?, error = ? WHERE id = ?')
-            .run('Executed', finishedAt, 1, null, jobId);
+    if (input.pageRanges !== undefined) {
+        if (typeof input.pageRanges !== 'string' || !PAGE_RANGES_PATTERN.test(input.pageRanges)) {
+            throw new ValidationError('pdf.pageRanges must look like "1-5, 8, 11-13"');
+        }
+        pdf.pageRanges = input.pageRanges.trim();
+    }
 
-    } catch (error) {
-        console.error(`[Worker] Error processing job ${jobId}:`, error);
-        console.error(`[Worker] Error stack:`, error.stack);
+    for (const name of ['landscape', 'printBackground', 'preferCSSPageSize', 'displayHeaderFooter', 'outline', 'tagged']) {
+        if (input[name] !== undefined) {
+            pdf[name] = validateBoolean(input[name], `pdf.${name}`);
+        }
+    }
 
-        // Close browser if it's still open
-        if (browser) {
-            try {
-                await browser.close();
-            } catch (closeError) {
-                console.error('[Worker] Error closing browser:', closeError);
+    for (const name of ['headerTemplate', 'footerTemplate']) {
+        if (input[name] !== undefined) {
+            if (typeof input[name] !== 'string') {
+                throw new ValidationError(`pdf.${name} must be a string of HTML`);
             }
+            pdf[name] = input[name];
         }
+    }
 
-        // Mark job as failed with error details
-        const finishedAt = new Date().toISOString();
-        const errorMessage = `${error.message}\n\nStack trace:\n${error.stack}`;
-        db.prepare('UPDATE jobs SET state = ?, finishedAt = ?, success = ?, error = ? WHERE id = ?')
-            .run('Executed', finishedAt, 0, errorMessage, jobId);
-    } finally {
-        isProcessing = false;
-        // Process next job
-        setImmediate(processNextJob);
+    // Templates are only printed when displayHeaderFooter is on, so turn it on
+    // for callers that supplied one without the flag
+    if ((pdf.headerTemplate || pdf.footerTemplate) && pdf.displayHeaderFooter === undefined) {
+        pdf.displayHeaderFooter = true;
     }
+
+    return pdf;
 }
 
-// Start the background worker
-processNextJob();
+function validateNumberInRange(value, name, min, max) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+        throw new ValidationError(`${name} must be a number between ${min} and ${max}`);
+    }
+    return value;
+}
 
 /**
- * POST /runPdf
- * Accepts a URL and adds it to the job queue
- * 
- * Request body: { "url": "http://example.com" }
- * Response: { "success": true, "jobId": 123, "message": "Job added to queue" }
+ * Validates the "viewport" section of a job submission: the size of the
+ * browser window the page is loaded in
+ */
+function parseViewportOptions(input) {
+    if (input === undefined || input === null) {
+        return { ...DEFAULT_VIEWPORT };
+    }
+    if (!isPlainObject(input)) {
+        throw new ValidationError('viewport must be an object with width and height');
+    }
+    return {
+        width: Math.round(validateNumberInRange(input.width ?? DEFAULT_VIEWPORT.width, 'viewport.width', 1, MAX_VIEWPORT_WIDTH)),
+        height: Math.round(validateNumberInRange(input.height ?? DEFAULT_VIEWPORT.height, 'viewport.height', 1, MAX_VIEWPORT_HEIGHT))
+    };
+}
+
+/**
+ * Validates the "screenshot" section of a job submission for png, jpeg and
+ * webp output
+ */
+function parseScreenshotOptions(input, output) {
+    if (input === undefined || input === null) {
+        input = {};
+    }
+    if (!isPlainObject(input)) {
+        throw new ValidationError('screenshot must be an object');
+    }
+
+    const screenshot = {
+        fullPage: input.fullPage === undefined ? true : validateBoolean(input.fullPage, 'screenshot.fullPage'),
+        deviceScaleFactor: input.deviceScaleFactor === undefined
+            ? 1
+            : validateNumberInRange(input.deviceScaleFactor, 'screenshot.deviceScaleFactor', 0.1, 4)
+    };
+
+    if (input.selector !== undefined) {
+        if (typeof input.selector !== 'string' || !input.selector.trim()) {
+            throw new ValidationError('screenshot.selector must be a non-empty CSS selector');
+        }
+        screenshot.selector = input.selector;
+    }
+
+    if (input.quality !== undefined) {
+        if (output === 'png') {
+            throw new ValidationError('screenshot.quality is only supported for jpeg and webp output');
+        }
+        screenshot.quality = Math.round(validateNumberInRange(input.quality, 'screenshot.quality', 0, 100));
+    }
+
+    if (input.omitBackground !== undefined) {
+        screenshot.omitBackground = validateBoolean(input.omitBackground, 'screenshot.omitBackground');
+    }
+
+    return screenshot;
+}
+
+/**
+ * Validates the "waitFor" section of a job submission: the conditions that
+ * decide when the page is finished and can be rendered. The first condition
+ * met ends the wait. Without a "waitFor" section a job is finished once its
+ * network has been quiet for DEFAULT_NETWORK_IDLE after loading, or when the
+ * page calls window.close(), whichever comes first. Pages that keep the
+ * network busy are still rendered after DEFAULT_WAIT_TIMEOUT.
  */
-app.post('/runPdf', async (req, res) => {
-    const { url } = req.body;
+function parseWaitOptions(input) {
+    if (input === undefined || input === null) {
+        return {
+            waitUntil: 'networkidle0',
+            windowClose: true,
+            networkIdle: DEFAULT_NETWORK_IDLE,
+            timeout: DEFAULT_WAIT_TIMEOUT,
+            timeoutAction: 'complete'
+        };
+    }
+    if (!isPlainObject(input)) {
+        throw new ValidationError('waitFor must be an object');
+    }
+
+    const waitFor = {};
+
+    if (input.waitUntil !== undefined && !NAVIGATION_WAIT_UNTIL.includes(input.waitUntil)) {
+        throw new ValidationError(`waitFor.waitUntil must be one of: ${NAVIGATION_WAIT_UNTIL.join(', ')}`);
+    }
+    waitFor.waitUntil = input.waitUntil || 'networkidle0';
 
-    // Validate URL parameter
-    if (!url) {
-        return res.status(400).json({
+    for (const name of ['selector', 'hiddenSelector', 'predicate', 'event']) {
+        if (input[name] !== undefined) {
+            if (typeof input[name] !== 'string' || !input[name].trim()) {
+                throw new ValidationError(`waitFor.${name} must be a non-empty string`);
+            }
+            waitFor[name] = input[name];
+        }
+    }
+
+    if (input.windowClose !== undefined) {
+        waitFor.windowClose = validateBoolean(input.windowClose, 'waitFor.windowClose');
+    }
+
+    if (input.networkIdle !== undefined) {
+        waitFor.networkIdle = Math.round(validateNumberInRange(input.networkIdle, 'waitFor.networkIdle', 1, MAX_WAIT_TIMEOUT));
+    }
+
+    waitFor.timeout = input.timeout === undefined
+        ? DEFAULT_WAIT_TIMEOUT
+        : Math.round(validateNumberInRange(input.timeout, 'waitFor.timeout', 0, MAX_WAIT_TIMEOUT));
+
+    waitFor.timeoutAction = input.timeoutAction === undefined ? 'complete' : input.timeoutAction;
+    if (!['complete', 'fail'].includes(waitFor.timeoutAction)) {
+        throw new ValidationError('waitFor.timeoutAction must be "complete" or "fail"');
+    }
+
+    const hasCondition = Boolean(waitFor.selector || waitFor.hiddenSelector || waitFor.predicate ||
+        waitFor.event || waitFor.windowClose || waitFor.networkIdle);
+    if (waitFor.timeoutAction === 'fail' && !hasCondition) {
+        throw new ValidationError('waitFor.timeoutAction "fail" needs at least one other completion condition');
+    }
+
+    return waitFor;
+}
+
+/**
+ * Validates the "captureNetwork" option of a job submission: whether the
+ * job's requests are recorded as a HAR file, and with which response bodies
+ */
+function parseNetworkCaptureOptions(input) {
+    if (input === undefined || input === null || input === false) {
+        return undefined;
+    }
+    if (input === true) {
+        input = {};
+    }
+    if (!isPlainObject(input)) {
+        throw new ValidationError('captureNetwork must be a boolean or an object');
+    }
+
+    return {
+        bodies: input.bodies === undefined ? false : validateBoolean(input.bodies, 'captureNetwork.bodies'),
+        maxBodySize: input.maxBodySize === undefined
+            ? DEFAULT_CAPTURED_BODY_SIZE
+            : validateNumberInRange(input.maxBodySize, 'captureNetwork.maxBodySize', 0, MAX_CAPTURED_BODY_SIZE)
+    };
+}
+
+/**
+ * Validates the "retry" section of a job submission: how often and after
+ * which failures a job is attempted again
+ */
+function parseRetryOptions(input) {
+    if (input === undefined || input === null) {
+        input = {};
+    }
+    if (!isPlainObject(input)) {
+        throw new ValidationError('retry must be an object');
+    }
+
+    const retry = {
+        maxAttempts: input.maxAttempts === undefined
+            ? DEFAULT_MAX_ATTEMPTS
+            : validateNumberInRange(input.maxAttempts, 'retry.maxAttempts', 1, MAX_ATTEMPTS_LIMIT),
+        backoff: input.backoff === undefined
+            ? DEFAULT_RETRY_BACKOFF
+            : validateNumberInRange(input.backoff, 'retry.backoff', 0, MAX_WAIT_TIMEOUT),
+        maxBackoff: input.maxBackoff === undefined
+            ? DEFAULT_RETRY_MAX_BACKOFF
+            : validateNumberInRange(input.maxBackoff, 'retry.maxBackoff', 0, MAX_WAIT_TIMEOUT),
+        retryOn: DEFAULT_RETRY_ON
+    };
+    if (!Number.isInteger(retry.maxAttempts)) {
+        throw new ValidationError('retry.maxAttempts must be a whole number');
+    }
+
+    if (input.retryOn !== undefined) {
+        if (!Array.isArray(input.retryOn) || input.retryOn.some(code => !ERROR_CODES.includes(code))) {
+            throw new ValidationError(`retry.retryOn must be an array of: ${ERROR_CODES.join(', ')}`);
+        }
+        retry.retryOn = [...new Set(input.retryOn)];
+    }
+
+    return retry;
+}
+
+/**
+ * Validates the callbackUrl and callbackHeaders of a job submission: where
+ * to POST the job's final record when it finishes
+ */
+function parseCallbackOptions(body) {
+    if (body.callbackUrl === undefined || body.callbackUrl === null) {
+        if (body.callbackHeaders !== undefined) {
+            throw new ValidationError('callbackHeaders requires a callbackUrl');
+        }
+        return undefined;
+    }
+
+    let callbackUrl;
+    try {
+        callbackUrl = new URL(body.callbackUrl);
+    } catch (error) {
+        throw new ValidationError('Invalid callbackUrl format');
+    }
+    if (callbackUrl.protocol !== 'http:' && callbackUrl.protocol !== 'https:') {
+        throw new ValidationError('callbackUrl must be an http or https URL');
+    }
+    const violation = getUrlPolicyViolation(callbackUrl.href);
+    if (violation) {
+        throw new ValidationError(`callbackUrl is not allowed: ${violation}`);
+    }
+
+    const headers = body.callbackHeaders === undefined
+        ? {}
+        : parseHeaderMap(body.callbackHeaders, 'callbackHeaders', MAX_CALLBACK_HEADERS);
+
+    return { url: callbackUrl.href, headers: headers };
+}
+
+/**
+ * Validates an object of HTTP header names and single-line string values
+ */
+function parseHeaderMap(input, name, maxHeaders) {
+    if (!isPlainObject(input)) {
+        throw new ValidationError(`${name} must be an object of header names and string values`);
+    }
+    const entries = Object.entries(input);
+    if (entries.length > maxHeaders) {
+        throw new ValidationError(`${name} can have at most ${maxHeaders} headers`);
+    }
+    const headers = {};
+    for (const [header, value] of entries) {
+        if (!/^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/.test(header) || typeof value !== 'string' || /[\r\n]/.test(value)) {
+            throw new ValidationError(`${name}.${header} must be a valid header name with a single-line string value`);
+        }
+        headers[header] = value;
+    }
+    return headers;
+}
+
+function validateTimezone(timezone, name) {
+    try {
+        if (typeof timezone !== 'string') {
+            throw new RangeError();
+        }
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (error) {
+        throw new ValidationError(`${name} must be an IANA time zone name, e.g. "Europe/Berlin"`);
+    }
+    return timezone;
+}
+
+/**
+ * Validates the cookies a job sets before its page loads. Cookies without a
+ * domain are set for the host of the job's URL by the worker.
+ */
+function parseCookies(input) {
+    if (!Array.isArray(input) || input.length > MAX_COOKIES) {
+        throw new ValidationError(`cookies must be an array of at most ${MAX_COOKIES} cookies`);
+    }
+    return input.map((cookie, index) => {
+        const name = `cookies[${index}]`;
+        if (!isPlainObject(cookie)) {
+            throw new ValidationError(`${name} must be an object with name and value`);
+        }
+        if (typeof cookie.name !== 'string' || !cookie.name || /[\s;=]/.test(cookie.name)) {
+            throw new ValidationError(`${name}.name must be a non-empty string without spaces, ";" or "="`);
+        }
+        if (typeof cookie.value !== 'string' || /[;\r\n]/.test(cookie.value)) {
+            throw new ValidationError(`${name}.value must be a string without ";" or line breaks`);
+        }
+
+        const parsed = { name: cookie.name, value: cookie.value };
+        for (const field of ['domain', 'path']) {
+            if (cookie[field] !== undefined) {
+                if (typeof cookie[field] !== 'string' || !cookie[field] || /[\s;]/.test(cookie[field])) {
+                    throw new ValidationError(`${name}.${field} must be a non-empty string`);
+                }
+                parsed[field] = cookie[field];
+            }
+        }
+        for (const field of ['secure', 'httpOnly']) {
+            if (cookie[field] !== undefined) {
+                parsed[field] = validateBoolean(cookie[field], `${name}.${field}`);
+            }
+        }
+        if (cookie.sameSite !== undefined) {
+            if (!COOKIE_SAME_SITE_VALUES.includes(cookie.sameSite)) {
+                throw new ValidationError(`${name}.sameSite must be one of: ${COOKIE_SAME_SITE_VALUES.join(', ')}`);
+            }
+            parsed.sameSite = cookie.sameSite;
+        }
+        if (cookie.expires !== undefined) {
+            parsed.expires = validateNumberInRange(cookie.expires, `${name}.expires`, 0, 253402300799);
+        }
+        return parsed;
+    });
+}
+
+function parseStorageItems(input, name) {
+    if (!isPlainObject(input)) {
+        throw new ValidationError(`${name} must be an object of keys and string values`);
+    }
+    const entries = Object.entries(input);
+    if (entries.length > MAX_STORAGE_ITEMS) {
+        throw new ValidationError(`${name} can have at most ${MAX_STORAGE_ITEMS} items`);
+    }
+    for (const [key, value] of entries) {
+        if (typeof value !== 'string') {
+            throw new ValidationError(`${name}.${key} must be a string`);
+        }
+    }
+    return { ...input };
+}
+
+/**
+ * Validates the settings of the browser context a job's page runs in: extra
+ * headers, cookies, HTTP authentication, seeded storage and the emulated
+ * device, media type, time zone, locale, location and permissions. Only the
+ * settings a job sends are returned.
+ */
+function parseContextOptions(body) {
+    const settings = {};
+
+    if (body.headers !== undefined) {
+        settings.headers = parseHeaderMap(body.headers, 'headers', MAX_EXTRA_HEADERS);
+    }
+    if (body.cookies !== undefined) {
+        settings.cookies = parseCookies(body.cookies);
+    }
+    if (body.authentication !== undefined) {
+        const { username, password } = isPlainObject(body.authentication) ? body.authentication : {};
+        if (typeof username !== 'string' || typeof password !== 'string') {
+            throw new ValidationError('authentication must be an object with a username and a password string');
+        }
+        settings.authentication = { username, password };
+    }
+    for (const name of ['localStorage', 'sessionStorage']) {
+        if (body[name] !== undefined) {
+            settings[name] = parseStorageItems(body[name], name);
+        }
+    }
+
+    if (body.userAgent !== undefined) {
+        if (typeof body.userAgent !== 'string' || !body.userAgent.trim() || body.userAgent.length > 1000 || /[\r\n]/.test(body.userAgent)) {
+            throw new ValidationError('userAgent must be a single-line string of at most 1000 characters');
+        }
+        settings.userAgent = body.userAgent;
+    }
+    if (body.device !== undefined) {
+        if (typeof body.device !== 'string' || !Object.prototype.hasOwnProperty.call(puppeteer.KnownDevices, body.device)) {
+            throw new ValidationError('device must be the name of a device known to Puppeteer, e.g. "iPhone 15 Pro" or "iPad landscape"');
+        }
+        if (body.viewport !== undefined) {
+            throw new ValidationError('device sets the viewport and cannot be combined with viewport');
+        }
+        if (isPlainObject(body.screenshot) && body.screenshot.deviceScaleFactor !== undefined) {
+            throw new ValidationError('device sets the device scale factor and cannot be combined with screenshot.deviceScaleFactor');
+        }
+        settings.device = body.device;
+    }
+    if (body.emulateMediaType !== undefined) {
+        if (!MEDIA_TYPES.includes(body.emulateMediaType)) {
+            throw new ValidationError(`emulateMediaType must be one of: ${MEDIA_TYPES.join(', ')}`);
+        }
+        settings.emulateMediaType = body.emulateMediaType;
+    }
+    if (body.timezone !== undefined) {
+        settings.timezone = validateTimezone(body.timezone, 'timezone');
+    }
+    if (body.locale !== undefined) {
+        try {
+            if (typeof body.locale !== 'string') {
+                throw new RangeError();
+            }
+            settings.locale = Intl.getCanonicalLocales(body.locale)[0];
+        } catch (error) {
+            throw new ValidationError('locale must be a BCP 47 language tag, e.g. "de-DE"');
+        }
+    }
+    if (body.geolocation !== undefined) {
+        if (!isPlainObject(body.geolocation)) {
+            throw new ValidationError('geolocation must be an object with latitude and longitude');
+        }
+        settings.geolocation = {
+            latitude: validateNumberInRange(body.geolocation.latitude, 'geolocation.latitude', -90, 90),
+            longitude: validateNumberInRange(body.geolocation.longitude, 'geolocation.longitude', -180, 180)
+        };
+        if (body.geolocation.accuracy !== undefined) {
+            settings.geolocation.accuracy = validateNumberInRange(body.geolocation.accuracy, 'geolocation.accuracy', 0, 1000000);
+        }
+    }
+    if (body.permissions !== undefined) {
+        if (!Array.isArray(body.permissions) || body.permissions.some(permission => !BROWSER_PERMISSIONS.includes(permission))) {
+            throw new ValidationError(`permissions must be an array of: ${BROWSER_PERMISSIONS.join(', ')}`);
+        }
+        settings.permissions = [...new Set(body.permissions)];
+    }
+
+    return settings;
+}
+
+function parsePriority(priority) {
+    if (priority === undefined || priority === null) {
+        return 0;
+    }
+    if (!Number.isInteger(validateNumberInRange(priority, 'priority', MIN_PRIORITY, MAX_PRIORITY))) {
+        throw new ValidationError('priority must be a whole number');
+    }
+    return priority;
+}
+
+/**
+ * Validates the time a job should not start before. Returns it as an ISO
+ * string, or null to run the job as soon as possible.
+ */
+function parseRunAt(runAt) {
+    if (runAt === undefined || runAt === null) {
+        return null;
+    }
+    const date = typeof runAt === 'string' ? new Date(runAt) : null;
+    if (!date || isNaN(date.getTime())) {
+        throw new ValidationError('runAt must be an ISO 8601 timestamp');
+    }
+    return date.toISOString();
+}
+
+/**
+ * Validates a /runPdf request body and returns the URL and the normalized
+ * options to store with the job
+ */
+function parseJobRequest(body, { upload = false } = {}) {
+    if (!isPlainObject(body)) {
+        throw new ValidationError('Request body must be a JSON object');
+    }
+
+    const { url, html } = body;
+
+    if (upload) {
+        if (url !== undefined || html !== undefined) {
+            throw new ValidationError('An uploaded document cannot be combined with url or html');
+        }
+    } else if (html !== undefined) {
+        if (url !== undefined) {
+            throw new ValidationError('Send either url or html, not both');
+        }
+        if (typeof html !== 'string' || !html.trim()) {
+            throw new ValidationError('html must be a non-empty string');
+        }
+        if (Buffer.byteLength(html) > MAX_HTML_SIZE) {
+            throw new ValidationError(`html must be at most ${MAX_HTML_SIZE / 1024 / 1024} MB`);
+        }
+    } else {
+        // Validate URL parameter
+        if (!url) {
+            throw new ValidationError('URL parameter is required (or send html, or upload a document)');
+        }
+
+        // Validate URL format
+        try {
+            new URL(url);
+        } catch (error) {
+            throw new ValidationError('Invalid URL format');
+        }
+        const violation = getUrlPolicyViolation(url);
+        if (violation) {
+            throw new ValidationError(`URL is not allowed: ${violation}`);
+        }
+    }
+
+    const output = body.output === undefined ? 'pdf' : body.output;
+    if (!Object.prototype.hasOwnProperty.call(OUTPUT_FORMATS, output)) {
+        throw new ValidationError(`output must be one of: ${Object.keys(OUTPUT_FORMATS).join(', ')}`);
+    }
+
+    const context = parseContextOptions(body);
+    const options = {
+        output: output,
+        // A device brings its own viewport
+        viewport: context.device ? undefined : parseViewportOptions(body.viewport),
+        waitFor: parseWaitOptions(body.waitFor),
+        failOnHttpError: body.failOnHttpError === undefined ? true : validateBoolean(body.failOnHttpError, 'failOnHttpError'),
+        retry: parseRetryOptions(body.retry),
+        ...context
+    };
+
+    const callback = parseCallbackOptions(body);
+    if (callback) {
+        options.callback = callback;
+    }
+
+    const captureNetwork = parseNetworkCaptureOptions(body.captureNetwork);
+    if (captureNetwork) {
+        options.captureNetwork = captureNetwork;
+    }
+
+    if (output === 'pdf') {
+        if (body.screenshot !== undefined) {
+            throw new ValidationError('screenshot options are only supported for png, jpeg and webp output');
+        }
+        options.pdf = parsePdfOptions(body.pdf);
+    } else {
+        if (body.pdf !== undefined) {
+            throw new ValidationError('pdf options are only supported for pdf output');
+        }
+        options.screenshot = parseScreenshotOptions(body.screenshot, output);
+    }
+
+    return {
+        url: url === undefined ? null : url,
+        html: html,
+        options: options,
+        priority: parsePriority(body.priority),
+        runAt: parseRunAt(body.runAt),
+        keep: body.keep === undefined ? false : validateBoolean(body.keep, 'keep')
+    };
+}
+
+/**
+ * Validates a POST /batches body. Every item of jobs is a /runPdf body, plus
+ * an optional name for its output in the batch's zip; the fields in defaults
+ * apply to every item that does not set them itself. Returns the batch's
+ * name and callback and the parsed job of every item.
+ */
+function parseBatchRequest(body) {
+    if (!isPlainObject(body)) {
+        throw new ValidationError('Request body must be a JSON object');
+    }
+    if (body.name !== undefined && body.name !== null && (typeof body.name !== 'string' || body.name.length > 200)) {
+        throw new ValidationError('name must be a string of at most 200 characters');
+    }
+
+    const defaults = body.defaults === undefined ? {} : body.defaults;
+    if (!isPlainObject(defaults)) {
+        throw new ValidationError('defaults must be an object');
+    }
+    if (defaults.url !== undefined || defaults.html !== undefined) {
+        throw new ValidationError('defaults cannot contain url or html, every job sets its own');
+    }
+    if (!Array.isArray(body.jobs) || body.jobs.length === 0 || body.jobs.length > MAX_BATCH_JOBS) {
+        throw new ValidationError(`jobs must be an array of 1 to ${MAX_BATCH_JOBS} jobs`);
+    }
+
+    const jobs = body.jobs.map((item, index) => {
+        try {
+            if (!isPlainObject(item)) {
+                throw new ValidationError('must be an object');
+            }
+            const { name, ...jobBody } = item;
+            const jobRequest = parseJobRequest({ ...defaults, ...jobBody });
+
+            let fileName = null;
+            if (name !== undefined && name !== null) {
+                if (typeof name !== 'string' || !name.trim()) {
+                    throw new ValidationError('name must be a non-empty string');
+                }
+                const extension = `.${OUTPUT_FORMATS[jobRequest.options.output].extension}`;
+                fileName = sanitizeFileName(name);
+                if (path.extname(fileName).toLowerCase() !== extension) {
+                    fileName += extension;
+                }
+            }
+            return { jobRequest: jobRequest, fileName: fileName };
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                throw new ValidationError(`jobs[${index}]: ${error.message}`);
+            }
+            throw error;
+        }
+    });
+
+    return {
+        name: body.name || null,
+        callback: parseCallbackOptions(body),
+        jobs: jobs
+    };
+}
+
+/**
+ * Returns the next time a cron expression fires after the given date, as an
+ * ISO string
+ */
+function getNextCronRun(cron, timezone, after) {
+    return CronExpressionParser.parse(cron, { currentDate: after, tz: timezone }).next().toISOString();
+}
+
+/**
+ * Validates a POST /schedules or PATCH /schedules/:id body. With an existing
+ * schedule, omitted fields keep their current value.
+ */
+function parseScheduleRequest(body, existing) {
+    if (!isPlainObject(body)) {
+        throw new ValidationError('Request body must be a JSON object');
+    }
+    const current = existing || {};
+
+    let name = current.name === undefined ? null : current.name;
+    if (body.name !== undefined) {
+        if (body.name !== null && (typeof body.name !== 'string' || body.name.length > 200)) {
+            throw new ValidationError('name must be a string of at most 200 characters');
+        }
+        name = body.name;
+    }
+
+    const cron = body.cron === undefined ? current.cron : body.cron;
+    if (typeof cron !== 'string' || !cron.trim()) {
+        throw new ValidationError('cron must be a cron expression, e.g. "0 2 * * *"');
+    }
+
+    const timezone = validateTimezone(body.timezone === undefined ? (current.timezone || 'UTC') : body.timezone, 'timezone');
+
+    let fields;
+    try {
+        getNextCronRun(cron, timezone, new Date());
+        fields = CronExpressionParser.parse(cron, { tz: timezone }).fields;
+    } catch (error) {
+        throw new ValidationError(`Invalid cron expression: ${error.message}`);
+    }
+    // A seconds field with one value fires at most once a minute
+    if (fields.second.values.length > 1) {
+        throw new ValidationError('cron must not fire more than once a minute, give the seconds field a single value');
+    }
+
+    const missedRunPolicy = body.missedRunPolicy === undefined ? (current.missedRunPolicy || 'skip') : body.missedRunPolicy;
+    if (!MISSED_RUN_POLICIES.includes(missedRunPolicy)) {
+        throw new ValidationError(`missedRunPolicy must be one of: ${MISSED_RUN_POLICIES.join(', ')}`);
+    }
+
+    const enabled = body.enabled === undefined
+        ? (current.enabled === undefined ? true : Boolean(current.enabled))
+        : validateBoolean(body.enabled, 'enabled');
+
+    let job = current.job;
+    if (body.job !== undefined || !existing) {
+        if (!isPlainObject(body.job)) {
+            throw new ValidationError('job must be an object with the same fields as a /runPdf request');
+        }
+        if (body.job.runAt !== undefined) {
+            throw new ValidationError('job.runAt is not supported, runs start at the times given by cron');
+        }
+        let jobRequest;
+        try {
+            jobRequest = parseJobRequest(body.job);
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                throw new ValidationError(`job: ${error.message}`);
+            }
+            throw error;
+        }
+        job = { url: jobRequest.url, html: jobRequest.html, options: jobRequest.options, priority: jobRequest.priority, keep: jobRequest.keep };
+    }
+
+    return {
+        name: name,
+        cron: cron.trim(),
+        timezone: timezone,
+        missedRunPolicy: missedRunPolicy,
+        enabled: enabled,
+        job: job
+    };
+}
+
+/**
+ * Converts a schedules row into its API representation
+ */
+function formatSchedule(schedule) {
+    const job = JSON.parse(schedule.job);
+    return {
+        ...schedule,
+        enabled: Boolean(schedule.enabled),
+        job: { ...job, options: redactSecrets(job.options) }
+    };
+}
+
+/**
+ * Validates the HTML and default job settings of a template version. The
+ * settings take the same fields as a /runPdf request, except url and html.
+ */
+function parseTemplateVersion(body) {
+    if (typeof body.html !== 'string' || !body.html.trim()) {
+        throw new ValidationError('html must be a non-empty string');
+    }
+    if (Buffer.byteLength(body.html) > MAX_HTML_SIZE) {
+        throw new ValidationError(`html must be at most ${MAX_HTML_SIZE / 1024 / 1024} MB`);
+    }
+    try {
+        Mustache.parse(body.html);
+    } catch (error) {
+        throw new ValidationError(`Invalid template: ${error.message}`);
+    }
+
+    const options = body.options === undefined ? {} : body.options;
+    if (!isPlainObject(options)) {
+        throw new ValidationError('options must be an object with the same fields as a /runPdf request');
+    }
+    if (options.url !== undefined || options.html !== undefined || options.runAt !== undefined) {
+        throw new ValidationError('options cannot contain url, html or runAt');
+    }
+    try {
+        parseJobRequest({ ...options, html: body.html });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            throw new ValidationError(`options: ${error.message}`);
+        }
+        throw error;
+    }
+
+    return { html: body.html, options: options };
+}
+
+/**
+ * Converts a template_versions row into its API representation
+ */
+function formatTemplateVersion(version) {
+    const { id, options, ...rest } = version;
+    return { ...rest, options: redactSecrets(JSON.parse(options)) };
+}
+
+/**
+ * Returns a copy of job settings with their secrets replaced by REDACTED:
+ * header, cookie and storage values, the authentication password and the
+ * callback headers. Takes both the options stored with jobs and schedules
+ * and the submitted options of template versions.
+ */
+function redactSecrets(options) {
+    const redactValues = values => Object.fromEntries(Object.keys(values).map(key => [key, REDACTED]));
+    const redacted = { ...options };
+    for (const name of ['headers', 'localStorage', 'sessionStorage', 'callbackHeaders']) {
+        if (isPlainObject(options[name])) {
+            redacted[name] = redactValues(options[name]);
+        }
+    }
+    if (Array.isArray(options.cookies)) {
+        redacted.cookies = options.cookies.map(cookie => ({ ...cookie, value: REDACTED }));
+    }
+    if (isPlainObject(options.authentication)) {
+        redacted.authentication = { ...options.authentication, password: REDACTED };
+    }
+    if (isPlainObject(options.callback) && isPlainObject(options.callback.headers)) {
+        redacted.callback = { ...options.callback, headers: redactValues(options.callback.headers) };
+    }
+    return redacted;
+}
+
+/**
+ * Returns the options stored with a job, secrets included. Only the worker
+ * and other internal code may use them; the API returns formatJob().
+ */
+function parseJobOptions(job) {
+    if (!job.options) {
+        return {};
+    }
+    try {
+        return JSON.parse(job.options);
+    } catch (error) {
+        console.warn(`[API] Job ${job.id} has unreadable options: ${error.message}`);
+        return {};
+    }
+}
+
+/**
+ * Converts a jobs row into its API representation
+ */
+function formatJob(job) {
+    const { outputPath, sourcePath, options, networkSummary, templateData, keep, ...rest } = job;
+    return {
+        ...rest,
+        keep: Boolean(keep),
+        options: redactSecrets(parseJobOptions(job)),
+        networkSummary: networkSummary ? JSON.parse(networkSummary) : null,
+        templateData: templateData ? JSON.parse(templateData) : null,
+        hasOutput: Boolean(outputPath)
+    };
+}
+
+/**
+ * Converts a batches row into its API representation, with the number of its
+ * jobs in each state. Jobs removed since the batch was created count as deleted.
+ */
+function formatBatch(batch, jobs) {
+    const { callback, jobCount, ...rest } = batch;
+    const counts = { total: jobCount, waiting: 0, running: 0, succeeded: 0, failed: 0, cancelled: 0, deleted: jobCount - jobs.length };
+    for (const job of jobs) {
+        if (job.state === 'Waiting' || job.state === 'Running') {
+            counts[job.state.toLowerCase()]++;
+        } else if (job.state === 'Cancelled') {
+            counts.cancelled++;
+        } else {
+            counts[job.success === 1 ? 'succeeded' : 'failed']++;
+        }
+    }
+    const finishedJobs = jobCount - counts.waiting - counts.running;
+    return {
+        ...rest,
+        finished: Boolean(batch.finishedAt),
+        progress: Math.floor(finishedJobs / jobCount * 100),
+        counts: counts,
+        callback: callback ? redactSecrets({ callback: JSON.parse(callback) }).callback : null
+    };
+}
+
+/**
+ * Converts a job of a batch into the item status GET /batches/:id lists
+ */
+function formatBatchItem(job) {
+    return {
+        index: job.batchIndex,
+        jobId: job.id,
+        name: job.batchFileName,
+        url: job.url,
+        state: job.state,
+        success: job.success === 1,
+        errorCode: job.errorCode,
+        error: summarizeJobError(job),
+        attempts: job.attempts,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        outputUrl: job.outputPath ? `/job/${job.id}/output` : null
+    };
+}
+
+/**
+ * Returns a failed job's error message without the stack trace the worker
+ * appends to it
+ */
+function summarizeJobError(job) {
+    return job.error ? job.error.split('\n\nStack trace:')[0] : null;
+}
+
+function formatAttempt(attempt) {
+    const { id, jobId, timings, ...rest } = attempt;
+    return {
+        ...rest,
+        timings: timings ? JSON.parse(timings) : null
+    };
+}
+
+function getOutputFilePath(jobId, format) {
+    return path.join(OUTPUT_PATH, `job-${jobId}.${OUTPUT_FORMATS[format].extension}`);
+}
+
+/**
+ * Error raised by the worker for failures it recognizes itself, carrying the
+ * errorCode category to store with the job
+ */
+class JobError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'JobError';
+        this.code = code;
+    }
+}
+
+/**
+ * Maps an error thrown while running a job to one of the ERROR_CODES, using
+ * the phase of the job it happened in to tell timeouts apart
+ */
+function classifyError(error, phase) {
+    if (error instanceof JobError) {
+        return error.code;
+    }
+
+    const message = String(error && error.message);
+
+    if (/net::ERR_NAME_NOT_RESOLVED|net::ERR_NAME_RESOLUTION_FAILED/.test(message)) {
+        return 'dns';
+    }
+    if (/net::ERR_/.test(message)) {
+        return 'network';
+    }
+    if (phase === 'launch' ||
+        /Target closed|Session closed|Connection closed|Browser disconnected|Navigating frame was detached|Protocol error.*(Target|Session)|crash/i.test(message)) {
+        return 'browser_crash';
+    }
+    if (error && error.name === 'TimeoutError') {
+        return phase === 'navigation' ? 'navigation_timeout' : 'render_error';
+    }
+    if (phase === 'wait' || /Evaluation failed|is not defined|is not a function|SyntaxError/.test(message)) {
+        return 'script_error';
+    }
+    if (phase === 'render') {
+        return 'render_error';
+    }
+    return 'unknown';
+}
+
+/**
+ * Exponential backoff with jitter: the delay doubles with every attempt up to
+ * maxBackoff, and a random half of it is added so that jobs failing together
+ * do not all come back at the same moment
+ */
+function getRetryDelay(retry, attempt) {
+    const delay = Math.min(retry.maxBackoff, retry.backoff * Math.pow(2, attempt - 1));
+    return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+function getJobDownloadPath(jobId) {
+    return path.join(DOWNLOAD_PATH, `job-${jobId}`);
+}
+
+/**
+ * Turns a file name suggested by a page into a safe, non-hidden base name
+ */
+function sanitizeFileName(name) {
+    const sanitized = path.basename(String(name || ''))
+        .replace(/[^\w.\- ()]/g, '_')
+        .replace(/^\.+/, '')
+        .slice(0, 200);
+    return sanitized || 'download';
+}
+
+/**
+ * Returns name, or name with a " (n)" suffix before its extension, so that it
+ * does not collide with any of the names already taken
+ */
+function uniqueFileName(name, takenNames) {
+    if (!takenNames.has(name)) {
+        return name;
+    }
+    const extension = path.extname(name);
+    const base = name.slice(0, name.length - extension.length);
+    let counter = 1;
+    while (takenNames.has(`${base} (${counter})${extension}`)) {
+        counter++;
+    }
+    return `${base} (${counter})${extension}`;
+}
+
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('error', reject)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+/**
+ * Reads the size, MIME type and sha256 checksum of a file produced by a job.
+ * The worker stores it with insertArtifact once it knows the attempt's
+ * result is kept.
+ */
+async function describeArtifact(kind, name, filePath, mimeType) {
+    return {
+        kind: kind,
+        name: name,
+        path: filePath,
+        size: fs.statSync(filePath).size,
+        mimeType: mimeType || mime.lookup(name) || 'application/octet-stream',
+        sha256: await hashFile(filePath)
+    };
+}
+
+/**
+ * Stores a file described by describeArtifact in the artifacts table
+ */
+function insertArtifact(jobId, artifact) {
+    db.prepare(`
+        INSERT INTO artifacts (jobId, kind, name, path, size, mimeType, sha256, createdAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(jobId, artifact.kind, artifact.name, artifact.path, artifact.size, artifact.mimeType, artifact.sha256,
+        new Date().toISOString());
+    console.log(`[Worker] Recorded ${artifact.kind} artifact for job ${jobId}: ${artifact.name} (${artifact.size} bytes)`);
+}
+
+// Levels of the console message types Chrome reports
+const CONSOLE_EVENT_LEVELS = {
+    error: 'error',
+    assert: 'error',
+    warn: 'warn',
+    warning: 'warn',
+    debug: 'debug',
+    trace: 'debug',
+    verbose: 'debug'
+};
+
+/**
+ * Returns a recorder that stores events of one job attempt in job_events.
+ * A job keeps at most MAX_JOB_EVENTS events over all its attempts; the event
+ * that reaches the limit is replaced by a warning that later ones are dropped.
+ */
+function createJobEventLog(jobId, attempt) {
+    let stored = db.prepare('SELECT COUNT(*) AS count FROM job_events WHERE jobId = ?').get(jobId).count;
+    // Selected from the job's row, so that a worker which has not noticed yet
+    // that its job was deleted leaves no events behind
+    const insert = db.prepare(`
+        INSERT INTO job_events (jobId, attempt, timestamp, level, source, message, details)
+        SELECT id, ?, ?, ?, ?, ?, ? FROM jobs WHERE id = ?
+    `);
+
+    return {
+        record(level, source, message, details) {
+            if (stored >= MAX_JOB_EVENTS) {
+                return;
+            }
+            stored++;
+            try {
+                if (stored === MAX_JOB_EVENTS) {
+                    insert.run(attempt, new Date().toISOString(), 'warn', 'worker',
+                        `Event limit of ${MAX_JOB_EVENTS} reached, further events of this job are dropped`, null, jobId);
+                    return;
+                }
+                insert.run(attempt, new Date().toISOString(), level, source,
+                    String(message).slice(0, MAX_JOB_EVENT_MESSAGE_LENGTH), details ? JSON.stringify(details) : null, jobId);
+            } catch (error) {
+                console.warn(`[Worker] Could not store event of job ${jobId}: ${error.message}`);
+            }
+        }
+    };
+}
+
+/**
+ * Sends downloads started by the job's pages to a directory of their own and
+ * follows their progress through CDP Browser.downloadProgress events.
+ * Chrome saves each file under its download GUID; once a download completes
+ * it is renamed to its (sanitized) suggested file name.
+ */
+async function trackDownloads(browser, context, jobId) {
+    // Start from an empty directory so a retried job does not pick up files of an earlier attempt
+    const downloadPath = getJobDownloadPath(jobId);
+    fs.rmSync(downloadPath, { recursive: true, force: true });
+    fs.mkdirSync(downloadPath, { recursive: true });
+
+    const session = await browser.target().createCDPSession();
+    await session.send('Browser.setDownloadBehavior', {
+        behavior: 'allowAndName',
+        browserContextId: context.id,
+        downloadPath: downloadPath,
+        eventsEnabled: true
+    });
+    console.log(`[Worker] Enabled download behavior (path: ${downloadPath})`);
+
+    const downloads = new Map();
+    const takenNames = new Set();
+    let onSettled = null;
+
+    session.on('Browser.downloadWillBegin', event => {
+        console.log(`[Worker] Download started: ${event.suggestedFilename} (${event.url})`);
+        downloads.set(event.guid, { suggestedFilename: event.suggestedFilename, state: 'inProgress' });
+    });
+
+    session.on('Browser.downloadProgress', event => {
+        const download = downloads.get(event.guid);
+        if (!download || event.state === 'inProgress') {
+            return;
+        }
+        download.state = event.state;
+        if (event.state === 'completed') {
+            const name = uniqueFileName(sanitizeFileName(download.suggestedFilename), takenNames);
+            takenNames.add(name);
+            download.name = name;
+            download.path = path.join(downloadPath, name);
+            try {
+                fs.renameSync(path.join(downloadPath, event.guid), download.path);
+                console.log(`[Worker] Download completed: ${name} (${event.receivedBytes} bytes)`);
+            } catch (renameError) {
+                download.state = 'canceled';
+                console.error(`[Worker] Could not store download ${name}: ${renameError.message}`);
+            }
+        } else {
+            console.warn(`[Worker] Download canceled: ${download.suggestedFilename}`);
+        }
+        if (onSettled) {
+            onSettled();
+        }
+    });
+
+    const pendingCount = () => [...downloads.values()].filter(d => d.state === 'inProgress').length;
+
+    return {
+        /**
+         * Resolves once no download is in progress, rejects after the timeout
+         */
+        async waitForPending(timeout, cancelSignal) {
+            if (pendingCount() === 0) {
+                return;
+            }
+            console.log(`[Worker] Waiting for ${pendingCount()} download(s) to complete...`);
+            await new Promise((resolve, reject) => {
+                const finish = () => {
+                    clearTimeout(timer);
+                    cancelSignal.removeEventListener('abort', onCancel);
+                    onSettled = null;
+                };
+                const onCancel = () => {
+                    finish();
+                    reject(new JobError('cancelled', 'Job was cancelled'));
+                };
+                const timer = setTimeout(() => {
+                    finish();
+                    reject(new Error(`${pendingCount()} download(s) did not complete within ${timeout / 1000}s`));
+                }, timeout);
+                cancelSignal.addEventListener('abort', onCancel, { once: true });
+                onSettled = () => {
+                    if (pendingCount() === 0) {
+                        finish();
+                        resolve();
+                    }
+                };
+            });
+        },
+
+        /**
+         * Describes every completed download as an artifact of the job,
+         * skipping names already used by other artifacts
+         */
+        async describeCompleted(reservedNames) {
+            const artifacts = [];
+            for (const download of downloads.values()) {
+                if (download.state !== 'completed') {
+                    continue;
+                }
+                let name = download.name;
+                if (reservedNames.has(name)) {
+                    name = uniqueFileName(name, new Set([...reservedNames, ...takenNames]));
+                }
+                reservedNames.add(name);
+                artifacts.push(await describeArtifact('download', name, download.path));
+            }
+            return artifacts;
+        },
+
+        /**
+         * Stops listening for download events; the browser outlives the job
+         */
+        async detach() {
+            await session.detach().catch(() => {});
+        }
+    };
+}
+
+/**
+ * Sets up the completion conditions of a job on a page before it navigates,
+ * so that signals sent while the page is still loading are not missed.
+ * wait() resolves with the name of the first condition that was met.
+ */
+async function watchCompletion(page, waitFor) {
+    let signalledBy = null;
+    let notify = null;
+    const signal = reason => {
+        if (!signalledBy) {
+            signalledBy = reason;
+            if (notify) {
+                notify(reason);
+            }
+        }
+    };
+
+    // window.close() and custom events are reported by a script injected into every document
+    if (waitFor.windowClose || waitFor.event) {
+        await page.exposeFunction('__pdfServerSignal', signal);
+        await page.evaluateOnNewDocument((interceptClose, eventName) => {
+            if (interceptClose) {
+                // Keep the page open so it can still be rendered
+                window.close = () => {
+                    window.__pdfServerSignal('windowClose');
+                };
+            }
+            if (eventName) {
+                const onEvent = () => window.__pdfServerSignal('event');
+                window.addEventListener(eventName, onEvent);
+                document.addEventListener(eventName, onEvent);
+            }
+        }, Boolean(waitFor.windowClose), waitFor.event || null);
+        if (waitFor.windowClose) {
+            page.on('close', () => signal('windowClose'));
+        }
+    }
+
+    // Network quiet time is measured from the last request that started or ended
+    let inFlightRequests = 0;
+    let lastNetworkActivity = Date.now();
+    if (waitFor.networkIdle) {
+        page.on('request', () => {
+            inFlightRequests++;
+            lastNetworkActivity = Date.now();
+        });
+        const onRequestDone = () => {
+            inFlightRequests = Math.max(0, inFlightRequests - 1);
+            lastNetworkActivity = Date.now();
+        };
+        page.on('requestfinished', onRequestDone);
+        page.on('requestfailed', onRequestDone);
+    }
+
+    return {
+        async wait(cancelSignal) {
+            if (signalledBy) {
+                return signalledBy;
+            }
+
+            const controller = new AbortController();
+            const onAbort = callback => controller.signal.addEventListener('abort', callback);
+            const conditions = [new Promise(resolve => { notify = resolve; })];
+
+            // Cancelling the job ends the wait right away
+            conditions.push(new Promise((resolve, reject) => {
+                const onCancel = () => reject(new JobError('cancelled', 'Job was cancelled'));
+                if (cancelSignal.aborted) {
+                    onCancel();
+                }
+                cancelSignal.addEventListener('abort', onCancel, { once: true });
+                onAbort(() => cancelSignal.removeEventListener('abort', onCancel));
+            }));
+
+            if (waitFor.selector) {
+                conditions.push(page.waitForSelector(waitFor.selector, { visible: true, timeout: 0, signal: controller.signal })
+                    .then(() => 'selector'));
+            }
+            if (waitFor.hiddenSelector) {
+                conditions.push(page.waitForSelector(waitFor.hiddenSelector, { hidden: true, timeout: 0, signal: controller.signal })
+                    .then(() => 'hiddenSelector'));
+            }
+            if (waitFor.predicate) {
+                conditions.push(page.waitForFunction(waitFor.predicate, { polling: 250, timeout: 0, signal: controller.signal })
+                    .then(() => 'predicate'));
+            }
+            if (waitFor.networkIdle) {
+                conditions.push(new Promise(resolve => {
+                    const timer = setInterval(() => {
+                        if (inFlightRequests === 0 && Date.now() - lastNetworkActivity >= waitFor.networkIdle) {
+                            resolve('networkIdle');
+                        }
+                    }, NETWORK_IDLE_POLL_INTERVAL);
+                    onAbort(() => clearInterval(timer));
+                }));
+            }
+            conditions.push(new Promise(resolve => {
+                const timer = setTimeout(() => resolve('timeout'), waitFor.timeout);
+                onAbort(() => clearTimeout(timer));
+            }));
+
+            try {
+                return await Promise.race(conditions);
+            } finally {
+                // Stop the conditions that lost the race
+                notify = null;
+                controller.abort();
+            }
+        }
+    };
+}
+
+/**
+ * Converts a CDP headers object into HAR name/value pairs, with the values of
+ * the headers in redactedNames (lower case) replaced by REDACTED
+ */
+function toHarHeaders(headers, redactedNames) {
+    return Object.entries(headers || {}).flatMap(([name, value]) => redactedNames.has(name.toLowerCase())
+        ? [{ name: name, value: REDACTED }]
+        : String(value).split('\n').map(line => ({ name: name, value: line })));
+}
+
+/**
+ * Converts CDP ResourceTiming (milliseconds relative to requestTime) into HAR
+ * timings. Phases that did not happen are -1, as HAR requires. Requests
+ * without timing (failed or served from memory) count their whole duration
+ * as wait.
+ */
+function toHarTimings(timing, requestTime, finishedTime) {
+    const round = value => Math.round(value * 1000) / 1000;
+    if (!timing) {
+        const elapsed = finishedTime ? Math.max(0, (finishedTime - requestTime) * 1000) : 0;
+        return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: round(elapsed), receive: 0 };
+    }
+    const phase = (start, end) => (start >= 0 && end >= 0 ? round(Math.max(0, end - start)) : -1);
+    const firstStart = [timing.dnsStart, timing.connectStart, timing.sendStart].find(value => value >= 0);
+    const receiveEnd = finishedTime ? (finishedTime - timing.requestTime) * 1000 : timing.receiveHeadersEnd;
+    return {
+        blocked: round(Math.max(0, firstStart === undefined ? 0 : firstStart)),
+        dns: phase(timing.dnsStart, timing.dnsEnd),
+        connect: phase(timing.connectStart, timing.connectEnd),
+        ssl: phase(timing.sslStart, timing.sslEnd),
+        send: round(Math.max(0, timing.sendEnd - timing.sendStart)),
+        wait: round(Math.max(0, timing.receiveHeadersEnd - timing.sendEnd)),
+        receive: round(Math.max(0, receiveEnd - timing.receiveHeadersEnd))
+    };
+}
+
+/**
+ * Records every request of a page through the CDP Network domain, to save
+ * them as a HAR 1.2 file. Response bodies are fetched as each request
+ * finishes, if settings.bodies is set and they are at most settings.maxBodySize.
+ * The values of the job's secretHeaders, and of credentials and cookies, are
+ * redacted from the requests and responses.
+ */
+async function captureNetwork(page, settings, secretHeaders) {
+    const redactedHeaders = new Set([...HAR_REDACTED_HEADERS, ...secretHeaders.map(name => name.toLowerCase())]);
+    const session = await page.createCDPSession();
+    await session.send('Network.enable');
+
+    const entries = new Map(); // requestId -> entry being recorded
+    const finished = [];
+    const bodyFetches = [];
+    const startedDateTime = new Date().toISOString();
+
+    const createEntry = event => ({
+        requestId: event.requestId,
+        wallTime: event.wallTime,
+        requestTime: event.timestamp,
+        request: event.request,
+        resourceType: event.type,
+        response: null,
+        encodedDataLength: 0,
+        dataLength: 0,
+        finishedTime: null,
+        error: null,
+        body: null,
+        bodyComment: null
+    });
+
+    const finish = entry => {
+        entries.delete(entry.requestId);
+        finished.push(entry);
+    };
+
+    session.on('Network.requestWillBeSent', event => {
+        const previous = entries.get(event.requestId);
+        if (previous && event.redirectResponse) {
+            // A redirect reuses the request ID: the previous hop ends here
+            previous.response = event.redirectResponse;
+            previous.encodedDataLength = event.redirectResponse.encodedDataLength || 0;
+            previous.finishedTime = event.timestamp;
+            finish(previous);
+        }
+        entries.set(event.requestId, createEntry(event));
+    });
+
+    session.on('Network.responseReceived', event => {
+        const entry = entries.get(event.requestId);
+        if (entry) {
+            entry.response = event.response;
+            entry.resourceType = event.type;
+        }
+    });
+
+    session.on('Network.dataReceived', event => {
+        const entry = entries.get(event.requestId);
+        if (entry) {
+            entry.dataLength += event.dataLength;
+        }
+    });
+
+    session.on('Network.loadingFinished', event => {
+        const entry = entries.get(event.requestId);
+        if (!entry) {
+            return;
+        }
+        entry.encodedDataLength = event.encodedDataLength;
+        entry.finishedTime = event.timestamp;
+        finish(entry);
+
+        if (settings.bodies && entry.response) {
+            if (entry.dataLength > settings.maxBodySize) {
+                entry.bodyComment = `Body of ${entry.dataLength} bytes exceeds the captureNetwork.maxBodySize of ${settings.maxBodySize}`;
+                return;
+            }
+            bodyFetches.push(session.send('Network.getResponseBody', { requestId: event.requestId })
+                .then(result => {
+                    entry.body = result;
+                })
+                .catch(error => {
+                    entry.bodyComment = `Body not available: ${error.message}`;
+                }));
+        }
+    });
+
+    session.on('Network.loadingFailed', event => {
+        const entry = entries.get(event.requestId);
+        if (!entry) {
+            return;
+        }
+        entry.error = event.blockedReason ? `${event.errorText} (${event.blockedReason})` : event.errorText;
+        entry.encodedDataLength = entry.encodedDataLength || 0;
+        entry.finishedTime = event.timestamp;
+        finish(entry);
+    });
+
+    const toHarEntry = entry => {
+        const { request, response } = entry;
+        const timings = toHarTimings(response && response.timing, entry.requestTime, entry.finishedTime);
+        const time = Object.entries(timings)
+            .filter(([name, value]) => name !== 'ssl' && value > 0)
+            .reduce((total, [, value]) => total + value, 0);
+        const url = new URL(request.url);
+        const postData = request.postData || (request.postDataEntries || []).map(item => item.bytes ? Buffer.from(item.bytes, 'base64').toString() : '').join('');
+
+        const content = {
+            size: entry.dataLength,
+            mimeType: response ? response.mimeType || '' : 'x-unknown'
+        };
+        if (entry.body) {
+            content.text = entry.body.body;
+            if (entry.body.base64Encoded) {
+                content.encoding = 'base64';
+            }
+        } else if (entry.bodyComment) {
+            content.comment = entry.bodyComment;
+        }
+
+        const harEntry = {
+            pageref: 'page_1',
+            startedDateTime: new Date(entry.wallTime * 1000).toISOString(),
+            time: Math.round(time * 1000) / 1000,
+            request: {
+                method: request.method,
+                url: request.url,
+                httpVersion: response && response.protocol ? response.protocol.toUpperCase() : '',
+                cookies: [],
+                headers: toHarHeaders(request.headers, redactedHeaders),
+                queryString: [...url.searchParams].map(([name, value]) => ({ name: name, value: value })),
+                headersSize: -1,
+                bodySize: postData ? Buffer.byteLength(postData) : 0
+            },
+            response: {
+                status: response ? response.status : 0,
+                statusText: response ? response.statusText || '' : '',
+                httpVersion: response && response.protocol ? response.protocol.toUpperCase() : '',
+                cookies: [],
+                headers: toHarHeaders(response && response.headers, redactedHeaders),
+                content: content,
+                redirectURL: response && response.headers ? (response.headers.location || response.headers.Location || '') : '',
+                headersSize: -1,
+                bodySize: response ? entry.encodedDataLength : -1
+            },
+            cache: {},
+            timings: timings,
+            _resourceType: entry.resourceType || null,
+            _transferSize: entry.encodedDataLength
+        };
+        if (postData) {
+            const contentType = Object.entries(request.headers || {}).find(([name]) => name.toLowerCase() === 'content-type');
+            harEntry.request.postData = { mimeType: contentType ? contentType[1] : '', text: postData };
+        }
+        if (response && response.remoteIPAddress) {
+            harEntry.serverIPAddress = response.remoteIPAddress;
+        }
+        if (entry.error) {
+            harEntry._error = entry.error;
+        }
+        return harEntry;
+    };
+
+    return {
+        /**
+         * Builds the HAR document of everything recorded so far, together
+         * with summary counts. Requests still in flight are included unfinished.
+         */
+        async toHar() {
+            await Promise.all(bodyFetches);
+            const harEntries = [...finished, ...entries.values()]
+                .sort((a, b) => a.wallTime - b.wallTime)
+                .map(toHarEntry);
+
+            const summary = {
+                requests: harEntries.length,
+                failed: harEntries.filter(entry => entry._error).length,
+                errorResponses: harEntries.filter(entry => entry.response.status >= 400).length,
+                pending: entries.size,
+                bytes: harEntries.reduce((total, entry) => total + (entry._transferSize || 0), 0)
+            };
+
+            const har = {
+                log: {
+                    version: '1.2',
+                    creator: { name: 'nodejsPdfServer', version: '2.0.0' },
+                    browser: { name: 'Chrome', version: await page.browser().version().catch(() => '') },
+                    pages: [{
+                        startedDateTime: startedDateTime,
+                        id: 'page_1',
+                        title: page.url(),
+                        pageTimings: { onContentLoad: -1, onLoad: -1 }
+                    }],
+                    entries: harEntries
+                }
+            };
+            return { har, summary };
+        },
+
+        async detach() {
+            await session.detach().catch(() => {});
+        }
+    };
+}
+
+/**
+ * Unpacks an uploaded zip into a directory, refusing entries that would land
+ * outside of it and archives that unpack to more than MAX_UNPACKED_SIZE
+ */
+function unpackZip(buffer, targetDir) {
+    let zip;
+    try {
+        zip = new AdmZip(buffer);
+    } catch (error) {
+        throw new ValidationError(`Uploaded file is not a valid zip archive: ${error.message}`);
+    }
+
+    const files = zip.getEntries().filter(entry => !entry.isDirectory);
+    if (files.length > MAX_UPLOAD_FILES) {
+        throw new ValidationError(`Uploaded zip may contain at most ${MAX_UPLOAD_FILES} files`);
+    }
+    const unpackedSize = files.reduce((total, entry) => total + entry.header.size, 0);
+    if (unpackedSize > MAX_UNPACKED_SIZE) {
+        throw new ValidationError(`Uploaded zip may unpack to at most ${MAX_UNPACKED_SIZE / 1024 / 1024} MB`);
+    }
+
+    for (const entry of files) {
+        const filePath = path.resolve(targetDir, entry.entryName);
+        if (!filePath.startsWith(targetDir + path.sep)) {
+            throw new ValidationError(`Uploaded zip contains an unsafe path: ${entry.entryName}`);
+        }
+        const data = entry.getData();
+        if (data.length !== entry.header.size) {
+            throw new ValidationError(`Uploaded zip entry ${entry.entryName} is damaged`);
+        }
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, data);
+    }
+    return files.map(entry => entry.entryName);
+}
+
+/**
+ * Picks the HTML file an uploaded zip is rendered from: the requested entry,
+ * else index.html, else the only HTML file at the top level
+ */
+function findEntryDocument(fileNames, entry) {
+    if (entry !== undefined && entry !== '') {
+        const normalized = path.posix.normalize(String(entry)).replace(/^\/+/, '');
+        if (!fileNames.includes(normalized)) {
+            throw new ValidationError(`entry ${entry} is not a file in the uploaded zip`);
+        }
+        return normalized;
+    }
+    if (fileNames.includes('index.html')) {
+        return 'index.html';
+    }
+    const topLevelHtml = fileNames.filter(name => !name.includes('/') && /\.html?$/i.test(name));
+    if (topLevelHtml.length === 1) {
+        return topLevelHtml[0];
+    }
+    throw new ValidationError('Uploaded zip has no index.html; name the HTML file to render with the entry field');
+}
+
+/**
+ * Writes the document of an html or upload job to a new directory under
+ * SOURCE_PATH, or copies that of the job given as copyOf. The directory's
+ * random name is also the host of the job's private origin, so the job's URL
+ * points into its own files and nowhere else. Returns the url, sourceType and
+ * sourcePath to store with the job.
+ */
+function createJobSource({ url, html, upload, copyOf }) {
+    if (copyOf && !copyOf.sourcePath) {
+        return { url: copyOf.url, sourceType: 'url', sourcePath: null };
+    }
+    if (html === undefined && !upload && !copyOf) {
+        return { url: url, sourceType: 'url', sourcePath: null };
+    }
+
+    const token = crypto.randomUUID();
+    const sourcePath = path.resolve(SOURCE_PATH, token);
+    fs.mkdirSync(sourcePath, { recursive: true });
+    try {
+        if (copyOf) {
+            fs.cpSync(copyOf.sourcePath, sourcePath, { recursive: true });
+            return {
+                url: `https://${token}.${SOURCE_ORIGIN_DOMAIN}${new URL(copyOf.url).pathname}`,
+                sourceType: copyOf.sourceType,
+                sourcePath: sourcePath
+            };
+        }
+
+        let entry = 'index.html';
+        if (html !== undefined) {
+            fs.writeFileSync(path.join(sourcePath, entry), html);
+        } else if (/\.zip$/i.test(upload.originalname) || upload.buffer.subarray(0, 4).equals(Buffer.from('PK\u0003\u0004'))) {
+            entry = findEntryDocument(unpackZip(upload.buffer, sourcePath), upload.entry);
+        } else if (/\.html?$/i.test(upload.originalname)) {
+            fs.writeFileSync(path.join(sourcePath, entry), upload.buffer);
+        } else {
+            throw new ValidationError('Uploaded file must be an .html file or a .zip archive');
+        }
+
+        const entryUrl = entry.split('/').map(encodeURIComponent).join('/');
+        return {
+            url: `https://${token}.${SOURCE_ORIGIN_DOMAIN}/${entryUrl}`,
+            sourceType: html !== undefined ? 'html' : 'upload',
+            sourcePath: sourcePath
+        };
+    } catch (error) {
+        fs.rmSync(sourcePath, { recursive: true, force: true });
+        throw error;
+    }
+}
+
+// Loopback, private, link-local, shared, multicast and reserved address ranges
+const PRIVATE_NETWORKS = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['64:ff9b:1::', 48], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]]) {
+    PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv6');
+}
+
+// IPv6 ranges that embed an IPv4 address, with the byte offset of that address
+// and the mask it is XORed with: IPv4-compatible, IPv4-mapped, NAT64, 6to4 and
+// Teredo (whose client address is stored inverted)
+const EMBEDDED_IPV4_NETWORKS = [
+    ['::', 96, 12, 0], ['::ffff:0:0', 96, 12, 0], ['64:ff9b::', 96, 12, 0], ['2002::', 16, 2, 0], ['2001::', 32, 12, 0xff]
+].map(([network, prefix, offset, mask]) => {
+    const range = new net.BlockList();
+    range.addSubnet(network, prefix, 'ipv6');
+    return { range: range, offset: offset, mask: mask };
+});
+
+// Addresses of recently resolved hosts, by host name
+const hostLookups = new Map();
+
+// Explicit ports of HTTPS URLs that passed the URL policy, as host:port; the
+// egress proxy opens tunnels to these and to the default ports only
+const tunnelPorts = new Set();
+
+/**
+ * Returns the 16 bytes of a valid IPv6 address
+ */
+function parseIPv6Address(address) {
+    let text = address.replace(/%.*$/, '');
+    // A trailing dotted IPv4 address makes up the last two groups
+    const dotted = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+    if (dotted) {
+        const [a, b, c, d] = dotted.slice(1).map(Number);
+        text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+    }
+    const [head, tail] = text.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const groups = [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+    return Buffer.from(groups.flatMap(group => {
+        const value = parseInt(group, 16);
+        return [value >> 8, value & 0xff];
+    }));
+}
+
+/**
+ * Whether an IP address is in a private network range. IPv6 addresses that
+ * embed an IPv4 address are private if that IPv4 address is.
+ */
+function isPrivateAddress(address) {
+    if (!net.isIPv6(address)) {
+        return PRIVATE_NETWORKS.check(address, 'ipv4');
+    }
+    if (PRIVATE_NETWORKS.check(address, 'ipv6')) {
+        return true;
+    }
+    const embedded = EMBEDDED_IPV4_NETWORKS.find(({ range }) => range.check(address, 'ipv6'));
+    if (!embedded) {
+        return false;
+    }
+    const bytes = parseIPv6Address(address);
+    const ipv4 = [...bytes.subarray(embedded.offset, embedded.offset + 4)].map(byte => byte ^ embedded.mask).join('.');
+    return PRIVATE_NETWORKS.check(ipv4, 'ipv4');
+}
+
+/**
+ * Whether a host name matches an allow or deny list entry: "example.com"
+ * matches only that host, "*.example.com" any of its subdomains
+ */
+function matchesHostPattern(hostname, pattern) {
+    return pattern.startsWith('*.') ? hostname.endsWith(pattern.slice(1)) : hostname === pattern;
+}
+
+function getUrlHostname(url) {
+    return url.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+}
+
+/**
+ * Checks a URL against the URL policy without resolving its host: its
+ * scheme, the allowed and denied hosts, and hosts given as private IP
+ * addresses. Returns why the URL is blocked, or null.
+ */
+function getUrlPolicyViolation(url) {
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(url);
+    } catch (error) {
+        return 'it is not a valid URL';
+    }
+
+    const scheme = parsedUrl.protocol.slice(0, -1);
+    if (!URL_ALLOWED_SCHEMES.includes(scheme)) {
+        return `the ${scheme} scheme is not allowed`;
+    }
+
+    return getHostPolicyViolation(getUrlHostname(parsedUrl));
+}
+
+/**
+ * Checks a host name or IP address against the allowed and denied hosts and,
+ * without resolving it, the private networks. Returns why it is blocked, or null.
+ */
+function getHostPolicyViolation(hostname) {
+    if (URL_DENIED_HOSTS.some(pattern => matchesHostPattern(hostname, pattern))) {
+        return `host ${hostname} is denied`;
+    }
+    if (URL_ALLOWED_HOSTS.length > 0 && !URL_ALLOWED_HOSTS.some(pattern => matchesHostPattern(hostname, pattern))) {
+        return `host ${hostname} is not in the allowed hosts`;
+    }
+
+    if (!URL_ALLOW_PRIVATE_NETWORKS) {
+        // Chrome resolves localhost and its subdomains itself, without asking DNS
+        if (hostname === 'localhost' || hostname.endsWith('.localhost')) {
+            return `host ${hostname} is a loopback address`;
+        }
+        if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+            return `${hostname} is a private network address`;
+        }
+    }
+    return null;
+}
+
+async function lookupHost(hostname) {
+    const cached = hostLookups.get(hostname);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.addresses;
+    }
+    const addresses = (await dns.promises.lookup(hostname, { all: true, verbatim: true })).map(entry => entry.address);
+    if (hostLookups.size >= MAX_HOST_LOOKUP_CACHE_SIZE) {
+        hostLookups.clear();
+    }
+    hostLookups.set(hostname, { addresses: addresses, expiresAt: Date.now() + HOST_LOOKUP_CACHE_TTL });
+    return addresses;
+}
+
+/**
+ * Checks a URL against the whole URL policy, including the addresses its
+ * host resolves to. Returns why the URL is blocked, or null.
+ */
+async function checkUrlPolicy(url) {
+    const violation = getUrlPolicyViolation(url);
+    if (violation || URL_ALLOW_PRIVATE_NETWORKS) {
+        return violation;
+    }
+
+    const hostname = getUrlHostname(new URL(url));
+    if (!hostname || net.isIP(hostname)) {
+        return null;
+    }
+    let addresses;
+    try {
+        addresses = await lookupHost(hostname);
+    } catch (error) {
+        // A host that does not resolve here fails to load in the browser as well
+        return null;
+    }
+    const privateAddress = addresses.find(isPrivateAddress);
+    return privateAddress ? `host ${hostname} resolves to the private network address ${privateAddress}` : null;
+}
+
+/**
+ * Checks the callback of a job or batch against the whole URL policy, which
+ * parseCallbackOptions could only check without resolving its host
+ */
+async function checkCallbackPolicy(callback) {
+    const violation = callback ? await checkUrlPolicy(callback.url) : null;
+    if (violation) {
+        throw new ValidationError(`callbackUrl is not allowed: ${violation}`);
+    }
+}
+
+/**
+ * Lets the egress proxy tunnel to the explicit port of an HTTPS URL that
+ * passed the URL policy
+ */
+function allowTunnelPort(url) {
+    const parsedUrl = new URL(url);
+    if (parsedUrl.protocol !== 'https:' || !parsedUrl.port) {
+        return;
+    }
+    if (tunnelPorts.size >= MAX_TUNNEL_PORTS) {
+        tunnelPorts.clear();
+    }
+    tunnelPorts.add(`${getUrlHostname(parsedUrl)}:${parsedUrl.port}`);
+}
+
+/**
+ * Checks the port of a tunnel: 443, 80 if ws URLs are allowed (Chrome
+ * tunnels WebSockets through the proxy too), or the explicit port of an
+ * HTTPS URL the page was allowed to load. Returns why it is blocked, or null.
+ */
+function getTunnelPortViolation(hostname, port) {
+    if (port === 443 || (port === 80 && URL_ALLOWED_SCHEMES.includes('ws')) || tunnelPorts.has(`${hostname}:${port}`)) {
+        return null;
+    }
+    return `port ${port} is not allowed`;
+}
+
+/**
+ * Resolves a host for the egress proxy like dns.lookup, but fails for a host
+ * that resolves to a private network address (unless those are allowed)
+ */
+function lookupPublicAddress(hostname, options, callback) {
+    dns.lookup(hostname, { all: true, verbatim: true }, (error, addresses) => {
+        if (error) {
+            return callback(error);
+        }
+        const privateEntry = URL_ALLOW_PRIVATE_NETWORKS ? null : addresses.find(entry => isPrivateAddress(entry.address));
+        if (privateEntry) {
+            return callback(new Error(`host ${hostname} resolves to the private network address ${privateEntry.address}`));
+        }
+        if (options.all) {
+            return callback(null, addresses);
+        }
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+/**
+ * Forwards a plain HTTP request of a browser to its host
+ */
+function proxyHttpRequest(req, res) {
+    let target;
+    try {
+        target = new URL(req.url);
+    } catch (error) {
+        return res.writeHead(400).end();
+    }
+    const hostname = getUrlHostname(target);
+    const violation = target.protocol === 'http:' ? getHostPolicyViolation(hostname) : `the ${target.protocol.slice(0, -1)} scheme is not proxied`;
+    if (violation) {
+        console.warn(`[Proxy] Blocked ${req.method} ${target.href}: ${violation}`);
+        return res.writeHead(403, { 'Content-Type': 'text/plain' }).end(`Blocked by the URL policy: ${violation}`);
+    }
+
+    const headers = { ...req.headers };
+    delete headers['proxy-connection'];
+    delete headers['proxy-authorization'];
+    const upstream = http.request({
+        host: hostname,
+        port: target.port || 80,
+        method: req.method,
+        path: target.pathname + target.search,
+        headers: headers,
+        lookup: lookupPublicAddress
+    }, upstreamResponse => {
+        res.writeHead(upstreamResponse.statusCode, upstreamResponse.statusMessage, upstreamResponse.rawHeaders);
+        upstreamResponse.pipe(res);
+    });
+    upstream.on('error', error => {
+        console.warn(`[Proxy] ${req.method} ${target.href} failed: ${error.message}`);
+        if (res.headersSent) {
+            res.destroy();
+        } else {
+            res.writeHead(502, { 'Content-Type': 'text/plain' }).end(error.message);
+        }
+    });
+    req.pipe(upstream);
+}
+
+/**
+ * Opens the tunnel a browser asks for with CONNECT, for HTTPS and WebSockets
+ */
+function proxyConnectRequest(req, clientSocket, head) {
+    // A browser may drop a tunnel at any time; the close handler below cleans up
+    clientSocket.on('error', () => {});
+    let target;
+    try {
+        target = new URL(`https://${req.url}`);
+    } catch (error) {
+        return clientSocket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    }
+    const hostname = getUrlHostname(target);
+    const port = Number(target.port) || 443;
+    const violation = getHostPolicyViolation(hostname) || getTunnelPortViolation(hostname, port);
+    if (violation) {
+        console.warn(`[Proxy] Blocked connection to ${req.url}: ${violation}`);
+        return clientSocket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+    }
+
+    let established = false;
+    const upstream = net.connect({ host: hostname, port: port, lookup: lookupPublicAddress }, () => {
+        established = true;
+        clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+        upstream.write(head);
+        upstream.pipe(clientSocket);
+        clientSocket.pipe(upstream);
+    });
+    upstream.on('error', error => {
+        console.warn(`[Proxy] Connection to ${req.url} failed: ${error.message}`);
+        if (established) {
+            clientSocket.destroy();
+        } else {
+            clientSocket.end('HTTP/1.1 502 Bad Gateway\r\n\r\n');
+        }
+    });
+    clientSocket.on('close', () => upstream.destroy());
+}
+
+// Every browser sends its traffic through this proxy, which resolves each host
+// itself and connects to the address it checked. A host cannot pass the URL
+// policy with a public address and be loaded from a private one (DNS
+// rebinding), and WebSockets, popups and workers, which are not intercepted
+// like the page's requests, are held to the policy as well.
+const egressProxy = http.createServer(proxyHttpRequest);
+egressProxy.on('connect', proxyConnectRequest);
+const egressProxyAddress = new Promise((resolve, reject) => {
+    egressProxy.once('error', reject);
+    egressProxy.listen(0, '127.0.0.1', () => {
+        const address = `127.0.0.1:${egressProxy.address().port}`;
+        console.log(`[Proxy] Browsers reach the network through the egress proxy at ${address}`);
+        resolve(address);
+    });
+});
+// Browsers cannot be launched without the proxy, so the server cannot run either
+egressProxyAddress.catch(error => {
+    console.error(`[Proxy] CRITICAL: Failed to start the egress proxy: ${error.message}`);
+    process.exit(1);
+});
+
+/**
+ * Maps a URL path on a job's private origin to a file in its source
+ * directory. Returns null for paths that leave the directory or do not exist.
+ */
+function resolveSourceFile(sourcePath, pathname) {
+    let filePath;
+    try {
+        filePath = path.join(sourcePath, path.posix.normalize(decodeURIComponent(pathname)));
+    } catch (error) {
+        return null;
+    }
+    if (!filePath.startsWith(sourcePath + path.sep) && filePath !== sourcePath) {
+        return null;
+    }
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+        filePath = path.join(filePath, 'index.html');
+    }
+    return fs.existsSync(filePath) && fs.statSync(filePath).isFile() ? filePath : null;
+}
+
+/**
+ * Answers a request to the job's private origin from the job's source directory
+ */
+function serveJobSource(request, sourcePath) {
+    const filePath = resolveSourceFile(sourcePath, new URL(request.url()).pathname);
+    if (!filePath) {
+        return request.respond({ status: 404, contentType: 'text/plain', body: 'Not found' });
+    }
+    return request.respond({
+        status: 200,
+        contentType: mime.contentType(path.extname(filePath)) || 'application/octet-stream',
+        body: fs.readFileSync(filePath)
+    });
+}
+
+/**
+ * Intercepts every request of a job's page, including redirects. Requests to
+ * the job's private origin are answered from its source directory; all others
+ * go to the network only if they pass the URL policy, and are otherwise
+ * aborted and passed to onBlocked with the reason. Requests to the job's own
+ * origin get originHeaders added.
+ */
+async function interceptPageRequests(page, { url, sourcePath, originHeaders, onBlocked }) {
+    const jobOrigin = new URL(url).origin;
+    const sourceOrigin = sourcePath ? jobOrigin : null;
+    await page.setRequestInterception(true);
+    // Service workers fetch outside the page, where their requests cannot be intercepted
+    await page.setBypassServiceWorker(true);
+
+    // WebSockets bypass interception, so they are blocked unless the URL policy allows their schemes
+    const blockedSocketSchemes = ['ws', 'wss'].filter(scheme => !URL_ALLOWED_SCHEMES.includes(scheme));
+    if (blockedSocketSchemes.length > 0) {
+        const session = await page.createCDPSession();
+        await session.send('Network.enable');
+        await session.send('Network.setBlockedURLs', { urls: blockedSocketSchemes.map(scheme => `${scheme}://*`) });
+    }
+
+    page.on('request', async request => {
+        if (request.isInterceptResolutionHandled()) {
+            return;
+        }
+        const requestUrl = request.url();
+
+        try {
+            // data:, blob: and about: URLs never leave the browser
+            if (/^(data|blob|about):/i.test(requestUrl)) {
+                return await request.continue();
+            }
+            if (sourceOrigin && new URL(requestUrl).origin === sourceOrigin) {
+                return await serveJobSource(request, sourcePath);
+            }
+
+            const violation = await checkUrlPolicy(requestUrl);
+            if (violation) {
+                onBlocked(request, violation);
+                return await request.abort('blockedbyclient');
+            }
+            allowTunnelPort(requestUrl);
+            // The job's headers and credentials are meant for its own origin, not for every host the page loads from
+            if (originHeaders && new URL(requestUrl).origin === jobOrigin) {
+                return await request.continue({ headers: { ...request.headers(), ...originHeaders } });
+            }
+            await request.continue();
+        } catch (error) {
+            // The page was closed while the request was checked
+            console.warn(`[Worker] Could not handle intercepted request ${requestUrl}: ${error.message}`);
+        }
+    });
+}
+
+/**
+ * Applies a job's browser context settings to its page before it navigates:
+ * cookies, seeded storage and the emulated user agent, locale, time zone,
+ * media type and location. Its headers and authentication are added to the
+ * requests of its origin by interceptPageRequests.
+ */
+async function applyContextOptions(page, url, options, device) {
+    // The locale sets Accept-Language and navigator.language along with the user agent
+    const userAgent = options.userAgent || (device ? device.userAgent : null);
+    if (options.locale) {
+        const session = await page.createCDPSession();
+        await session.send('Network.setUserAgentOverride', {
+            userAgent: userAgent || await page.browser().userAgent(),
+            acceptLanguage: options.locale
+        });
+        await session.send('Emulation.setLocaleOverride', { locale: options.locale.replace(/-/g, '_') });
+    } else if (userAgent) {
+        await page.setUserAgent({ userAgent: userAgent });
+    }
+
+    if (options.timezone) {
+        await page.emulateTimezone(options.timezone);
+    }
+    if (options.emulateMediaType) {
+        await page.emulateMediaType(options.emulateMediaType);
+    }
+    if (options.geolocation) {
+        await page.setGeolocation(options.geolocation);
+    }
+    if (options.cookies) {
+        const hostname = new URL(url).hostname;
+        await page.browserContext().setCookie(...options.cookies.map(cookie => ({ domain: hostname, path: '/', ...cookie })));
+    }
+
+    // Storage is seeded on the job's origin before its scripts run, without
+    // replacing values the page has already set itself
+    if (options.localStorage || options.sessionStorage) {
+        await page.evaluateOnNewDocument((origin, localItems, sessionItems) => {
+            if (location.origin !== origin) {
+                return;
+            }
+            try {
+                for (const [storage, items] of [[localStorage, localItems], [sessionStorage, sessionItems]]) {
+                    for (const [key, value] of Object.entries(items)) {
+                        if (storage.getItem(key) === null) {
+                            storage.setItem(key, value);
+                        }
+                    }
+                }
+            } catch (error) {
+                console.warn(`Could not seed storage: ${error.message}`);
+            }
+        }, new URL(url).origin, options.localStorage || {}, options.sessionStorage || {});
+    }
+}
+
+/**
+ * Returns the headers a job adds to the requests of its own origin: its extra
+ * headers and, with authentication, HTTP basic credentials. Null if it has none.
+ */
+function getOriginHeaders(options) {
+    const headers = { ...options.headers };
+    if (options.authentication) {
+        const { username, password } = options.authentication;
+        headers.Authorization = `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+    }
+    return Object.keys(headers).length > 0 ? headers : null;
+}
+
+/**
+ * Renders the final state of the page to the job's output format and returns
+ * the path and size of the written file
+ */
+async function renderOutput(page, jobId, options) {
+    // Jobs queued before output formats existed only have pdf options
+    const output = options.output || 'pdf';
+    const outputPath = getOutputFilePath(jobId, output);
+    const renderStart = Date.now();
+
+    if (output === 'pdf') {
+        await page.pdf({
+            ...options.pdf,
+            path: outputPath,
+            timeout: PDF_RENDER_TIMEOUT
+        });
+    } else {
+        const { selector, fullPage, quality, omitBackground } = options.screenshot;
+        const screenshotOptions = { path: outputPath, type: output, quality, omitBackground };
+
+        if (selector) {
+            const element = await page.$(selector);
+            if (!element) {
+                throw new Error(`Screenshot selector did not match any element: ${selector}`);
+            }
+            await element.screenshot(screenshotOptions);
+        } else {
+            await page.screenshot({ ...screenshotOptions, fullPage });
+        }
+    }
+
+    const outputSize = fs.statSync(outputPath).size;
+    console.log(`[Worker] Rendered ${output} (${outputSize} bytes) in ${((Date.now() - renderStart) / 1000).toFixed(2)}s: ${outputPath}`);
+
+    return { outputPath, output, outputSize };
+}
+
+// Background worker state: one slot per concurrently rendered job. Each slot
+// keeps a long-lived browser and renders every job in a fresh incognito
+// BrowserContext, so jobs share no cookies, storage or cache.
+const workerSlots = Array.from({ length: WORKER_CONCURRENCY }, (_, index) => ({
+    id: index + 1,
+    browser: null,
+    jobsSinceLaunch: 0,
+    jobId: null,
+    running: null, // Settles once the slot's job has finished writing its results
+    heartbeatAt: null
+}));
+let idlePollTimer = null;
+
+// AbortControllers of the jobs running in this process, by job ID, used to cancel them
+const runningJobs = new Map();
+
+// Liveness of the worker: when the dispatcher last ran, and (per slot) when
+// the running job last renewed its lease
+let lastDispatchAt = Date.now();
+
+// Outcome of the latest browser launch, by a worker slot or a readiness check
+let lastBrowserLaunch = null;
+let browserCheckPromise = null;
+
+// Prometheus metrics served by GET /metrics. Counters and histograms are kept
+// by this process; the queue gauges are read from the database on every scrape.
+const metricsRegistry = new promClient.Registry();
+promClient.collectDefaultMetrics({ register: metricsRegistry });
+
+new promClient.Gauge({
+    name: 'pdf_server_jobs',
+    help: 'Number of jobs in each state',
+    labelNames: ['state'],
+    registers: [metricsRegistry],
+    collect() {
+        const counts = new Map(db.prepare('SELECT state, COUNT(*) AS count FROM jobs GROUP BY state').all()
+            .map(row => [row.state, row.count]));
+        for (const state of JOB_STATES) {
+            this.set({ state: state }, counts.get(state) || 0);
+        }
+    }
+});
+
+new promClient.Gauge({
+    name: 'pdf_server_oldest_waiting_job_age_seconds',
+    help: 'Seconds the oldest due Waiting job has been due, 0 if none is waiting',
+    registers: [metricsRegistry],
+    collect() {
+        const now = new Date().toISOString();
+        const oldest = db.prepare(`
+            SELECT MIN(COALESCE(runAt, requestedAt)) AS dueAt FROM jobs
+            WHERE state = ? AND (runAt IS NULL OR runAt <= ?)
+        `).get('Waiting', now);
+        this.set(oldest.dueAt ? Math.max(0, (Date.now() - Date.parse(oldest.dueAt)) / 1000) : 0);
+    }
+});
+
+new promClient.Gauge({
+    name: 'pdf_server_worker_slots_busy',
+    help: 'Worker slots of this process that are rendering a job',
+    registers: [metricsRegistry],
+    collect() {
+        this.set(workerSlots.filter(slot => slot.jobId !== null).length);
+    }
+});
+
+const jobDurationHistogram = new promClient.Histogram({
+    name: 'pdf_server_job_duration_seconds',
+    help: 'Time a worker spent on a job attempt, from pickup to its result',
+    labelNames: ['result'],
+    buckets: JOB_DURATION_BUCKETS,
+    registers: [metricsRegistry]
+});
+
+const jobWaitHistogram = new promClient.Histogram({
+    name: 'pdf_server_job_wait_seconds',
+    help: 'Time a job waited in the queue after it became due, until a worker picked it up',
+    buckets: JOB_WAIT_BUCKETS,
+    registers: [metricsRegistry]
+});
+
+const jobAttemptsCounter = new promClient.Counter({
+    name: 'pdf_server_job_attempts_total',
+    help: 'Finished job attempts by result (success, failure, retry, cancelled) and error code',
+    labelNames: ['result', 'error_code'],
+    registers: [metricsRegistry]
+});
+
+const browserLaunchesCounter = new promClient.Counter({
+    name: 'pdf_server_browser_launches_total',
+    help: 'Chrome launches, by worker slots and readiness checks',
+    registers: [metricsRegistry]
+});
+
+const browserLaunchFailuresCounter = new promClient.Counter({
+    name: 'pdf_server_browser_launch_failures_total',
+    help: 'Chrome launches that failed',
+    registers: [metricsRegistry]
+});
+
+/**
+ * Counts a finished job attempt. result is success, failure (the job failed
+ * for good), retry (the job was requeued) or cancelled.
+ */
+function recordJobAttempt(result, errorCode, durationMs) {
+    jobAttemptsCounter.inc({ result: result, error_code: errorCode || '' });
+    if (durationMs !== undefined) {
+        jobDurationHistogram.observe({ result: result }, durationMs / 1000);
+    }
+}
+
+async function launchBrowser() {
+    browserLaunchesCounter.inc();
+    try {
+        const browser = await puppeteer.launch({
+            headless: true,
+            executablePath: CHROME_PATH,
+            args: [
+                '--no-sandbox',
+                '--disable-setuid-sandbox',
+                '--disable-dev-shm-usage',
+                '--disable-gpu',
+                `--proxy-server=http://${await egressProxyAddress}`,
+                // Loopback addresses go through the proxy too, to be blocked there
+                '--proxy-bypass-list=<-loopback>'
+            ]
+        });
+        lastBrowserLaunch = { success: true, at: Date.now(), error: null };
+        return browser;
+    } catch (error) {
+        browserLaunchFailuresCounter.inc();
+        lastBrowserLaunch = { success: false, at: Date.now(), error: error.message };
+        throw error;
+    }
+}
+
+/**
+ * Closes a slot's browser so that the next job launches a fresh one
+ */
+async function retireBrowser(slot, reason) {
+    const browser = slot.browser;
+    slot.browser = null;
+    slot.jobsSinceLaunch = 0;
+    if (browser) {
+        console.log(`[Worker ${slot.id}] Recycling browser: ${reason}`);
+        try {
+            await browser.close();
+        } catch (closeError) {
+            console.error(`[Worker ${slot.id}] Error closing browser:`, closeError);
+        }
+    }
+}
+
+/**
+ * Returns the slot's browser, launching a new one if it has none, if the old
+ * one crashed or if it has rendered BROWSER_MAX_JOBS jobs
+ */
+async function getSlotBrowser(slot) {
+    if (slot.browser && !slot.browser.connected) {
+        slot.browser = null;
+        slot.jobsSinceLaunch = 0;
+        console.warn(`[Worker ${slot.id}] Browser disconnected, a new one will be launched`);
+    }
+    if (slot.browser && slot.jobsSinceLaunch >= BROWSER_MAX_JOBS) {
+        await retireBrowser(slot, `rendered ${slot.jobsSinceLaunch} jobs`);
+    }
+    if (!slot.browser) {
+        console.log(`[Worker ${slot.id}] Launching browser...`);
+        const browser = await launchBrowser();
+        browser.on('disconnected', () => {
+            if (slot.browser === browser) {
+                console.warn(`[Worker ${slot.id}] Browser disconnected`);
+                slot.browser = null;
+                slot.jobsSinceLaunch = 0;
+            }
+        });
+        slot.browser = browser;
+    }
+    slot.jobsSinceLaunch++;
+    return slot.browser;
+}
+
+/**
+ * Liveness of the background worker: while a slot is idle the dispatcher must
+ * keep polling, and every running job must keep renewing its lease
+ */
+function getWorkerHealth() {
+    const now = Date.now();
+    const problems = [];
+    if (workerSlots.some(slot => slot.jobId === null) && now - lastDispatchAt > WORKER_STALL_TIMEOUT) {
+        problems.push(`the dispatcher has not run for ${Math.round((now - lastDispatchAt) / 1000)}s`);
+    }
+    for (const slot of workerSlots) {
+        if (slot.jobId !== null && now - slot.heartbeatAt > WORKER_STALL_TIMEOUT) {
+            problems.push(`slot ${slot.id} has not renewed the lease on job ${slot.jobId} for ${Math.round((now - slot.heartbeatAt) / 1000)}s`);
+        }
+    }
+    return {
+        status: problems.length > 0 ? 'fail' : 'ok',
+        slots: workerSlots.length,
+        busySlots: workerSlots.filter(slot => slot.jobId !== null).length,
+        lastDispatchAt: new Date(lastDispatchAt).toISOString(),
+        error: problems.length > 0 ? problems.join('; ') : undefined
+    };
+}
+
+/**
+ * Readiness of Chrome. A slot with a connected browser, or a launch within
+ * BROWSER_CHECK_INTERVAL, tells whether it can start; otherwise a browser is
+ * launched and closed again. Concurrent checks share that launch.
+ */
+async function checkBrowser() {
+    if (workerSlots.some(slot => slot.browser && slot.browser.connected)) {
+        return { status: 'ok' };
+    }
+    if (!lastBrowserLaunch || Date.now() - lastBrowserLaunch.at > BROWSER_CHECK_INTERVAL) {
+        if (!browserCheckPromise) {
+            browserCheckPromise = launchBrowser()
+                .then(browser => browser.close())
+                .catch(error => {
+                    console.warn(`[Health] Browser check failed: ${error.message}`);
+                })
+                .finally(() => {
+                    browserCheckPromise = null;
+                });
+        }
+        await browserCheckPromise;
+    }
+    return {
+        status: lastBrowserLaunch.success ? 'ok' : 'fail',
+        checkedAt: new Date(lastBrowserLaunch.at).toISOString(),
+        error: lastBrowserLaunch.error || undefined
+    };
+}
+
+/**
+ * Readiness of the database: it must answer a query
+ */
+function checkDatabase() {
+    try {
+        db.prepare('SELECT 1').get();
+        return { status: 'ok' };
+    } catch (error) {
+        return { status: 'fail', error: error.message };
+    }
+}
+
+/**
+ * ORDER BY clause for Waiting jobs. A job's effective priority is its priority
+ * plus one for every PRIORITY_AGING_INTERVAL since it became due (its runAt,
+ * or when it was requested), so low-priority jobs are not starved by a steady
+ * stream of urgent ones. Ties go to the job that has been due longest.
+ */
+const WAITING_JOB_ORDER = `
+    priority + CAST(MAX(0, julianday('now') - julianday(COALESCE(runAt, requestedAt))) * 86400000 / ${PRIORITY_AGING_INTERVAL} AS INTEGER) DESC,
+    COALESCE(runAt, requestedAt) ASC,
+    id ASC
+`;
+
+/**
+ * Atomically moves the next waiting job to Running and assigns it to a slot
+ */
+const claimNextJob = db.transaction(slotId => {
+    const startedAt = new Date().toISOString();
+
+    // Scheduled jobs and jobs waiting for a retry are skipped until their runAt time has come,
+    // and jobs of an API key that already runs its maxConcurrentJobs until one of them finishes
+    const job = db.prepare(`
+        SELECT * FROM jobs WHERE state = ? AND (runAt IS NULL OR runAt <= ?)
+            AND (apiKeyId IS NULL OR (
+                SELECT COUNT(*) FROM jobs AS running WHERE running.apiKeyId = jobs.apiKeyId AND running.state = 'Running'
+            ) < COALESCE((SELECT maxConcurrentJobs FROM api_keys WHERE api_keys.id = jobs.apiKeyId), ${Number.MAX_SAFE_INTEGER}))
+        ORDER BY ${WAITING_JOB_ORDER} LIMIT 1
+    `).get('Waiting', startedAt);
+    if (!job) {
+        return null;
+    }
+
+    const attempt = (job.attempts || 0) + 1;
+    const leaseExpiresAt = new Date(Date.now() + LEASE_DURATION).toISOString();
+    db.prepare(`
+        UPDATE jobs SET state = ?, startedAt = ?, workerSlot = ?, attempts = ?,
+            leaseOwner = ?, leaseExpiresAt = ?, heartbeatAt = ?
+        WHERE id = ?
+    `).run('Running', startedAt, slotId, attempt, WORKER_ID, leaseExpiresAt, startedAt, job.id);
+    db.prepare('INSERT INTO job_attempts (jobId, attempt, workerSlot, startedAt) VALUES (?, ?, ?, ?)')
+        .run(job.id, attempt, slotId, startedAt);
+    return { ...job, state: 'Running', startedAt: startedAt, workerSlot: slotId, attempts: attempt };
+});
+
+/**
+ * Lists the Waiting jobs in the order the workers will pick them up, as far
+ * as that is known now: due jobs by effective priority, then scheduled ones
+ * by their runAt time. Returns a Map of job ID to 1-based queue position.
+ */
+function getQueuePositions() {
+    const waiting = db.prepare(`
+        SELECT id FROM jobs WHERE state = ?
+        ORDER BY (runAt IS NOT NULL AND runAt > ?) ASC, ${WAITING_JOB_ORDER}
+    `).all('Waiting', new Date().toISOString());
+    return new Map(waiting.map((job, index) => [job.id, index + 1]));
+}
+
+/**
+ * Extends the lease of a running job's attempt. Returns false if the job is
+ * no longer leased to this process for that attempt, i.e. it was recovered as
+ * orphaned, or cancelled and picked up again, in the meantime. Every slot of
+ * a process shares its WORKER_ID, so the attempt tells the runs of one job apart.
+ */
+function renewJobLease(jobId, attempt) {
+    const now = new Date();
+    const result = db.prepare(`
+        UPDATE jobs SET heartbeatAt = ?, leaseExpiresAt = ?
+        WHERE id = ? AND state = ? AND leaseOwner = ? AND attempts = ?
+    `).run(now.toISOString(), new Date(now.getTime() + LEASE_DURATION).toISOString(), jobId, 'Running', WORKER_ID, attempt);
+    return result.changes > 0;
+}
+
+/**
+ * Finds Running jobs whose lease has expired and that no slot of this
+ * process is working on, and requeues or fails them according to
+ * ORPHANED_JOB_POLICY. Requeued jobs still count the lost attempt, so a job
+ * that keeps killing the server ends up failed once its attempts are used up.
+ */
+const recoverOrphanedJobs = db.transaction(() => {
+    const now = new Date().toISOString();
+    const activeJobIds = new Set(workerSlots.map(slot => slot.jobId).filter(id => id !== null));
+    const orphans = db.prepare(`
+        SELECT * FROM jobs
+        WHERE state = ? AND (leaseExpiresAt IS NULL OR leaseExpiresAt < ?)
+    `).all('Running', now).filter(job => !activeJobIds.has(job.id));
+
+    for (const job of orphans) {
+        const retry = parseJobOptions(job).retry || parseRetryOptions(undefined);
+        const error = `Job was abandoned by worker ${job.leaseOwner || 'unknown'} ` +
+            `(last heartbeat: ${job.heartbeatAt || 'never'})`;
+        const requeue = ORPHANED_JOB_POLICY === 'requeue' && (job.attempts || 0) < retry.maxAttempts;
+
+        if (requeue) {
+            db.prepare(`
+                UPDATE jobs SET state = ?, runAt = NULL, error = ?, errorCode = ?, leaseExpiresAt = NULL
+                WHERE id = ?
+            `).run('Waiting', error, 'worker_lost', job.id);
+            publishQueueEvent('job.state_changed', job.id);
+        } else {
+            db.prepare(`
+                UPDATE jobs SET state = ?, finishedAt = ?, success = ?, error = ?, errorCode = ?, leaseExpiresAt = NULL
+                WHERE id = ?
+            `).run('Executed', now, 0, error, 'worker_lost', job.id);
+            onJobFinished(job.id);
+        }
+        db.prepare(`
+            UPDATE job_attempts SET finishedAt = ?, success = ?, errorCode = ?, error = ?
+            WHERE jobId = ? AND finishedAt IS NULL
+        `).run(now, 0, 'worker_lost', error, job.id);
+
+        recordJobAttempt(requeue ? 'retry' : 'failure', 'worker_lost');
+        console.warn(`[Recovery] Job ${job.id} was orphaned by ${job.leaseOwner || 'an unknown worker'}, ${requeue ? 'requeued' : 'marked as failed'}`);
+    }
+
+    return orphans.length;
+});
+
+/**
+ * Background worker dispatcher: hands waiting jobs to idle slots. It is
+ * called whenever a job is added or finishes, and polls while slots are idle.
+ */
+function processNextJob() {
+    lastDispatchAt = Date.now();
+    if (idlePollTimer) {
+        clearTimeout(idlePollTimer);
+        idlePollTimer = null;
+    }
+
+    for (const slot of workerSlots) {
+        if (slot.jobId !== null) {
+            continue; // Slot is busy
+        }
+
+        const job = claimNextJob(slot.id);
+        if (!job) {
+            break; // No jobs waiting
+        }
+
+        jobWaitHistogram.observe(Math.max(0, Date.parse(job.startedAt) - Date.parse(job.runAt || job.requestedAt)) / 1000);
+        slot.jobId = job.id;
+        slot.heartbeatAt = Date.now();
+        publishQueueEvent('job.state_changed', job.id);
+        slot.running = runJob(slot, job).finally(() => {
+            slot.jobId = null;
+            slot.running = null;
+            // Process next job
+            setImmediate(processNextJob);
+        });
+    }
+
+    if (workerSlots.some(slot => slot.jobId === null)) {
+        // Idle slots check again after a short delay
+        idlePollTimer = setTimeout(processNextJob, IDLE_POLL_INTERVAL);
+    }
+}
+
+/**
+ * Renders a single job in the given worker slot
+ */
+async function runJob(slot, job) {
+    const jobId = job.id;
+    const url = job.url;
+    const options = parseJobOptions(job);
+    const attempt = job.attempts;
+    const events = createJobEventLog(jobId, attempt);
+    const pickedUpAt = Date.now();
+
+    console.log(`[Worker ${slot.id}] Processing job ${jobId} (attempt ${attempt}): ${url}`);
+
+    let browser = null;
+    let context = null;
+    let downloads = null;
+    let network = null;
+    let phase = 'launch'; // Used to classify errors: launch, setup, navigation, wait, render
+    let phaseStartedAt = pickedUpAt;
+    const timings = {}; // Milliseconds spent in each phase, stored with the attempt
+    const startPhase = nextPhase => {
+        const now = Date.now();
+        timings[phase] = now - phaseStartedAt;
+        phase = nextPhase;
+        phaseStartedAt = now;
+    };
+    const getTimings = () => JSON.stringify({ ...timings, [phase]: Date.now() - phaseStartedAt });
+
+    // Cancelling the job closes its browser context, which makes any pending
+    // navigation or page operation fail, and ends the waits right away
+    const cancellation = new AbortController();
+    let contextClosed = false;
+    cancellation.signal.addEventListener('abort', () => {
+        console.log(`[Worker ${slot.id}] Aborting job ${jobId}`);
+        if (context && !contextClosed) {
+            contextClosed = true;
+            context.close().catch(closeError => {
+                console.warn(`[Worker ${slot.id}] Error closing browser context of cancelled job:`, closeError.message);
+            });
+        }
+    });
+    runningJobs.set(jobId, cancellation);
+
+    // Writes the requests recorded for captureNetwork to this attempt's HAR
+    // file. Returns its artifact and summary for keepNetworkCapture, or null.
+    const saveNetworkCapture = async () => {
+        if (!network) {
+            return null;
+        }
+        const capture = network;
+        network = null;
+        try {
+            const { har, summary } = await capture.toHar();
+            const harPath = path.join(OUTPUT_PATH, `job-${jobId}-attempt-${attempt}.har`);
+            fs.writeFileSync(harPath, JSON.stringify(har));
+            return {
+                artifact: await describeArtifact('har', `network-attempt-${attempt}.har`, harPath, 'application/json'),
+                summary: summary
+            };
+        } catch (captureError) {
+            console.warn(`[Worker ${slot.id}] Could not save the network capture of job ${jobId}: ${captureError.message}`);
+            return null;
+        } finally {
+            await capture.detach();
+        }
+    };
+    const keepNetworkCapture = networkCapture => {
+        if (networkCapture) {
+            insertArtifact(jobId, networkCapture.artifact);
+            db.prepare('UPDATE jobs SET networkSummary = ? WHERE id = ?').run(JSON.stringify(networkCapture.summary), jobId);
+        }
+    };
+
+    // Removes the files of an attempt whose result is discarded. The output
+    // and downloads share their paths with the job's other attempts, so they
+    // are only removed when no other attempt can have written them: the job
+    // was deleted, or cancelled without being picked up again since.
+    const discardAttemptFiles = networkCapture => {
+        if (networkCapture) {
+            fs.rmSync(networkCapture.artifact.path, { force: true });
+        }
+        const current = db.prepare('SELECT state, attempts FROM jobs WHERE id = ?').get(jobId);
+        if (!current || (current.state === 'Cancelled' && current.attempts === attempt)) {
+            fs.rmSync(getOutputFilePath(jobId, options.output || 'pdf'), { force: true });
+            fs.rmSync(getJobDownloadPath(jobId), { recursive: true, force: true });
+        }
+    };
+
+    // Keep the job's lease alive while it runs. The lease is gone when the job
+    // was cancelled or recovered elsewhere, so the job is aborted.
+    const heartbeat = setInterval(() => {
+        if (renewJobLease(jobId, attempt)) {
+            slot.heartbeatAt = Date.now();
+        } else {
+            console.warn(`[Worker ${slot.id}] Lost the lease on job ${jobId}, its result will be discarded`);
+            cancellation.abort();
+        }
+    }, HEARTBEAT_INTERVAL);
+
+    try {
+        browser = await getSlotBrowser(slot);
+        startPhase('setup');
+
+        // Every job gets an isolated incognito context in the shared browser
+        context = await browser.createBrowserContext();
+        if (cancellation.signal.aborted) {
+            throw new JobError('cancelled', 'Job was cancelled');
+        }
+
+        // Route downloads into a directory of this job's own
+        downloads = await trackDownloads(browser, context, jobId);
+
+        const page = await context.newPage();
+
+        // Set the requested viewport, or the emulated device's (adjusted to the
+        // full page later unless only the viewport is captured)
+        const device = options.device ? puppeteer.KnownDevices[options.device] : null;
+        const viewport = device
+            ? { ...device.viewport }
+            : { ...(options.viewport || DEFAULT_VIEWPORT), deviceScaleFactor: options.screenshot ? options.screenshot.deviceScaleFactor : 1 };
+        await page.setViewport(viewport);
+
+        // Grant the requested permissions (notifications by default), and geolocation for an emulated location
+        try {
+            const urlOrigin = new URL(url).origin;
+            const permissions = new Set(options.permissions || DEFAULT_PERMISSIONS);
+            if (options.geolocation) {
+                permissions.add('geolocation');
+            }
+            await context.overridePermissions(urlOrigin, [...permissions]);
+            console.log(`[Worker ${slot.id}] Granted permissions for ${urlOrigin}: ${[...permissions].join(', ') || 'none'}`);
+        } catch (permError) {
+            console.warn(`[Worker ${slot.id}] Could not grant permissions: ${permError.message}`);
+        }
+
+        await applyContextOptions(page, url, options, device);
+
+        // Setup dialog handler for popup auto-clicking
+        page.on('dialog', async dialog => {
+            console.log(`[Worker ${slot.id}] Dialog detected: ${dialog.type()} - ${dialog.message()}`);
+            events.record('info', 'dialog', `${dialog.type()} dialog auto-accepted: ${dialog.message()}`, { type: dialog.type() });
+            await dialog.accept();
+            console.log(`[Worker ${slot.id}] Dialog auto-accepted`);
+        });
+
+        // Log console messages from the page and store them with the job
+        page.on('console', msg => {
+            const type = msg.type();
+            const text = msg.text();
+            console.log(`[Worker ${slot.id}] Page console.${type}: ${text}`);
+            const location = msg.location();
+            events.record(CONSOLE_EVENT_LEVELS[type] || 'info', 'console', text, {
+                type: type,
+                url: location.url || null,
+                lineNumber: location.lineNumber === undefined ? null : location.lineNumber
+            });
+        });
+
+        // Log page errors
+        page.on('pageerror', error => {
+            console.error(`[Worker ${slot.id}] Page error: ${error.message}`);
+            events.record('error', 'pageerror', error.message, { stack: error.stack || null });
+        });
+
+        // Log failed requests
+        page.on('requestfailed', request => {
+            const errorText = request.failure()?.errorText || 'unknown error';
+            console.error(`[Worker ${slot.id}] Request failed: ${request.url()} - ${errorText}`);
+            events.record('error', 'requestfailed', `${request.method()} ${request.url()} failed: ${errorText}`, {
+                url: request.url(),
+                method: request.method(),
+                resourceType: request.resourceType(),
+                errorText: errorText
+            });
+        });
+
+        // Serve the job's own document from its private origin, and keep the
+        // page from loading anything the URL policy does not allow
+        let blockedNavigation = null;
+        const originHeaders = getOriginHeaders(options);
+        const interception = {
+            url: url,
+            sourcePath: job.sourcePath,
+            originHeaders: originHeaders,
+            onBlocked: (request, violation) => {
+                console.warn(`[Worker ${slot.id}] Blocked request: ${request.url()} - ${violation}`);
+                events.record('warn', 'policy', `${request.method()} ${request.url()} blocked: ${violation}`, {
+                    url: request.url(),
+                    method: request.method(),
+                    resourceType: request.resourceType(),
+                    reason: violation
+                });
+                if (request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+                    blockedNavigation = new JobError('blocked_url', `Navigation to ${request.url()} was blocked: ${violation}`);
+                }
+            }
+        };
+        await interceptPageRequests(page, interception);
+
+        // Popups the page opens load under the same policy
+        context.on('targetcreated', async target => {
+            if (target.type() !== 'page') {
+                return;
+            }
+            try {
+                const popup = await target.page();
+                if (popup && popup !== page) {
+                    await interceptPageRequests(popup, interception);
+                }
+            } catch (popupError) {
+                console.warn(`[Worker ${slot.id}] Could not intercept the requests of a popup: ${popupError.message}`);
+            }
+        });
+
+        // Record the page's requests for the HAR file
+        if (options.captureNetwork) {
+            network = await captureNetwork(page, options.captureNetwork, Object.keys(originHeaders || {}));
+        }
+
+        // Setup the conditions that decide when the page is finished
+        // (jobs queued before completion conditions existed get the defaults)
+        const waitFor = options.waitFor || parseWaitOptions(undefined);
+        const completion = await watchCompletion(page, waitFor);
+
+        console.log(`[Worker ${slot.id}] Navigating to URL: ${url}`);
+
+        // Navigate to the URL (15 minutes timeout)
+        startPhase('navigation');
+        const navigationStart = Date.now();
+        const response = await page.goto(url, {
+            waitUntil: waitFor.waitUntil,
+            timeout: PAGE_GOTO_TIMEOUT
+        }).catch(error => {
+            throw blockedNavigation || error;
+        });
+        const navigationTime = ((Date.now() - navigationStart) / 1000).toFixed(2);
+        const httpStatus = response ? response.status() : null;
+        db.prepare('UPDATE jobs SET httpStatus = ? WHERE id = ? AND attempts = ?').run(httpStatus, jobId, attempt);
+        if (httpStatus >= 400 && options.failOnHttpError !== false) {
+            throw new JobError('http_status', `Page responded with HTTP ${httpStatus} ${response.statusText()}`.trim());
+        }
+        console.log(`[Worker ${slot.id}] Page loaded in ${navigationTime}s, waiting for completion conditions...`);
+
+        // Wait until the first completion condition is met
+        startPhase('wait');
+        const waitStart = Date.now();
+        const completedBy = await completion.wait(cancellation.signal);
+        db.prepare('UPDATE jobs SET completedBy = ? WHERE id = ? AND attempts = ?').run(completedBy, jobId, attempt);
+        console.log(`[Worker ${slot.id}] Completion condition "${completedBy}" met after ${((Date.now() - waitStart) / 1000).toFixed(2)}s`);
+
+        if (completedBy === 'timeout' && waitFor.timeoutAction === 'fail') {
+            throw new JobError('wait_timeout', `No completion condition was met within ${waitFor.timeout / 1000}s`);
+        }
+
+        startPhase('render');
+
+        // Update viewport to match page content dimensions for full-page rendering
+        const capturesViewportOnly = options.screenshot && !options.screenshot.fullPage && !options.screenshot.selector;
+        if (!page.isClosed() && !capturesViewportOnly) {
+            try {
+                const dimensions = await page.evaluate(() => {
+                    return {
+                        width: Math.max(
+                            document.documentElement.scrollWidth,
+                            document.body.scrollWidth,
+                            document.documentElement.offsetWidth,
+                            document.body.offsetWidth,
+                            document.documentElement.clientWidth,
+                            document.body.clientWidth
+                        ),
+                        height: Math.max(
+                            document.documentElement.scrollHeight,
+                            document.body.scrollHeight,
+                            document.documentElement.offsetHeight,
+                            document.body.offsetHeight,
+                            document.documentElement.clientHeight,
+                            document.body.clientHeight
+                        )
+                    };
+                });
+                
+                // Validate dimensions are positive finite numbers
+                if (Number.isFinite(dimensions.width) && dimensions.width > 0 && 
+                    Number.isFinite(dimensions.height) && dimensions.height > 0) {
+                    // Apply reasonable limits to prevent excessive memory usage
+                    const viewportWidth = Math.min(dimensions.width, MAX_VIEWPORT_WIDTH);
+                    const viewportHeight = Math.min(dimensions.height, MAX_VIEWPORT_HEIGHT);
+                    
+                    console.log(`[Worker ${slot.id}] Adjusting viewport to full page: ${viewportWidth}x${viewportHeight}`);
+                    await page.setViewport({
+                        ...viewport,
+                        width: viewportWidth,
+                        height: viewportHeight
+                    });
+                } else {
+                    console.warn(`[Worker ${slot.id}] Invalid page dimensions, keeping default viewport`);
+                }
+            } catch (viewportError) {
+                console.warn(`[Worker ${slot.id}] Could not adjust viewport:`, viewportError.message);
+            }
+        }
+
+        // Render the output from the final state of the page
+        if (page.isClosed()) {
+            throw new JobError('render_error', 'Page was closed by script before the output could be rendered');
+        }
+        const { outputPath, output, outputSize } = await renderOutput(page, jobId, options);
+
+        // The job is not finished until the files the page started downloading are complete
+        try {
+            await downloads.waitForPending(DOWNLOAD_COMPLETION_TIMEOUT, cancellation.signal);
+        } catch (downloadError) {
+            throw downloadError instanceof JobError ? downloadError : new JobError('render_error', downloadError.message);
+        }
+
+        const networkCapture = await saveNetworkCapture();
+
+        // Downloads must not take the name of the output or of any network capture
+        const outputName = path.basename(outputPath);
+        const reservedNames = new Set(db.prepare('SELECT name FROM artifacts WHERE jobId = ?').all(jobId).map(artifact => artifact.name));
+        reservedNames.add(outputName);
+        if (networkCapture) {
+            reservedNames.add(networkCapture.artifact.name);
+        }
+        const artifacts = [
+            await describeArtifact('output', outputName, outputPath, OUTPUT_FORMATS[output].contentType),
+            ...await downloads.describeCompleted(reservedNames)
+        ];
+
+        console.log(`[Worker ${slot.id}] Job ${jobId} completed successfully`);
+
+        // Update job state to Executed with success flag, null error and the rendered file,
+        // unless the job was cancelled, deleted or recovered by someone else while it ran.
+        // Its artifacts are only recorded together with that state.
+        const finishedAt = new Date().toISOString();
+        const kept = db.transaction(() => {
+            const updated = db.prepare(`
+                UPDATE jobs SET state = ?, finishedAt = ?, success = ?, error = ?, errorCode = ?,
+                    outputPath = ?, outputFormat = ?, outputSize = ?, leaseExpiresAt = NULL
+                WHERE id = ? AND state = ? AND leaseOwner = ? AND attempts = ?
+            `).run('Executed', finishedAt, 1, null, null, outputPath, output, outputSize, jobId, 'Running', WORKER_ID, attempt);
+            if (updated.changes === 0) {
+                return false;
+            }
+            keepNetworkCapture(networkCapture);
+            artifacts.forEach(artifact => insertArtifact(jobId, artifact));
+            return true;
+        })();
+        if (!kept) {
+            console.warn(`[Worker ${slot.id}] Job ${jobId} is no longer leased to this worker, discarding its result`);
+            discardAttemptFiles(networkCapture);
+            return;
+        }
+        db.prepare('UPDATE job_attempts SET finishedAt = ?, success = ?, timings = ? WHERE jobId = ? AND attempt = ?')
+            .run(finishedAt, 1, getTimings(), jobId, attempt);
+        recordJobAttempt('success', null, Date.now() - pickedUpAt);
+        onJobFinished(jobId);
+
+    } catch (error) {
+        const finishedAt = new Date().toISOString();
+        const attemptTimings = getTimings();
+
+        if (cancellation.signal.aborted) {
+            // The job's state was already changed by whoever cancelled or recovered it
+            console.log(`[Worker ${slot.id}] Job ${jobId} was aborted: ${error.message}`);
+            db.prepare('UPDATE job_attempts SET finishedAt = ?, success = ?, errorCode = ?, error = ?, timings = ? WHERE jobId = ? AND attempt = ? AND finishedAt IS NULL')
+                .run(finishedAt, 0, 'cancelled', 'Job was cancelled', attemptTimings, jobId, attempt);
+            recordJobAttempt('cancelled', 'cancelled', Date.now() - pickedUpAt);
+            discardAttemptFiles(null);
+            return;
+        }
+
+        console.error(`[Worker ${slot.id}] Error processing job ${jobId}:`, error);
+        console.error(`[Worker ${slot.id}] Error stack:`, error.stack);
+
+        // The requests of a failed attempt are often what explains the failure
+        const networkCapture = await saveNetworkCapture();
+
+        const errorMessage = `${error.message}\n\nStack trace:\n${error.stack}`;
+        const errorCode = classifyError(error, phase);
+        const retry = options.retry || parseRetryOptions(undefined);
+
+        // Like a success, the network capture is only recorded if the job is still this worker's
+        const updateLeasedJob = (sql, ...params) => db.transaction(() => {
+            const result = db.prepare(sql).run(...params);
+            if (result.changes > 0) {
+                keepNetworkCapture(networkCapture);
+            }
+            return result;
+        })();
+
+        let updated;
+        if (attempt < retry.maxAttempts && retry.retryOn.includes(errorCode)) {
+            // Put the job back in the queue until its backoff has passed
+            const retryAt = new Date(Date.now() + getRetryDelay(retry, attempt)).toISOString();
+            updated = updateLeasedJob(`
+                UPDATE jobs SET state = ?, runAt = ?, error = ?, errorCode = ?, leaseExpiresAt = NULL
+                WHERE id = ? AND state = ? AND leaseOwner = ? AND attempts = ?
+            `, 'Waiting', retryAt, errorMessage, errorCode, jobId, 'Running', WORKER_ID, attempt);
+            if (updated.changes > 0) {
+                console.log(`[Worker ${slot.id}] Job ${jobId} failed with ${errorCode}, retrying at ${retryAt} (attempt ${attempt} of ${retry.maxAttempts})`);
+                db.prepare('UPDATE job_attempts SET finishedAt = ?, success = ?, errorCode = ?, error = ?, retryAt = ?, timings = ? WHERE jobId = ? AND attempt = ?')
+                    .run(finishedAt, 0, errorCode, errorMessage, retryAt, attemptTimings, jobId, attempt);
+                recordJobAttempt('retry', errorCode, Date.now() - pickedUpAt);
+                publishQueueEvent('job.state_changed', jobId);
+            }
+        } else {
+            // Mark job as failed with error details
+            updated = updateLeasedJob(`
+                UPDATE jobs SET state = ?, finishedAt = ?, success = ?, error = ?, errorCode = ?, leaseExpiresAt = NULL
+                WHERE id = ? AND state = ? AND leaseOwner = ? AND attempts = ?
+            `, 'Executed', finishedAt, 0, errorMessage, errorCode, jobId, 'Running', WORKER_ID, attempt);
+            if (updated.changes > 0) {
+                db.prepare('UPDATE job_attempts SET finishedAt = ?, success = ?, errorCode = ?, error = ?, timings = ? WHERE jobId = ? AND attempt = ?')
+                    .run(finishedAt, 0, errorCode, errorMessage, attemptTimings, jobId, attempt);
+                recordJobAttempt('failure', errorCode, Date.now() - pickedUpAt);
+                onJobFinished(jobId);
+            }
+        }
+        if (updated.changes === 0) {
+            discardAttemptFiles(networkCapture);
+        }
+    } finally {
+        clearInterval(heartbeat);
+        // A cancelled job may have been retried and picked up by another slot meanwhile
+        if (runningJobs.get(jobId) === cancellation) {
+            runningJobs.delete(jobId);
+        }
+
+        if (network) {
+            await network.detach();
+        }
+        if (downloads) {
+            await downloads.detach();
+        }
+
+        // Close the job's context; a browser that crashed or cannot close it is recycled
+        if (context && !contextClosed) {
+            contextClosed = true;
+            try {
+                await context.close();
+            } catch (closeError) {
+                console.error(`[Worker ${slot.id}] Error closing browser context:`, closeError);
+                await retireBrowser(slot, 'browser context could not be closed');
+            }
+        }
+        if (browser && slot.browser === browser && !browser.connected) {
+            await retireBrowser(slot, 'browser crashed');
+        }
+    }
+}
+
+/**
+ * Moves a Waiting or Running job to the Cancelled state. A job running in this
+ * process is aborted right away; one running in another process is aborted by
+ * its worker when it next fails to renew the lease. Returns false if the job
+ * had already finished.
+ */
+function cancelJob(jobId) {
+    const finishedAt = new Date().toISOString();
+    const result = db.prepare(`
+        UPDATE jobs SET state = ?, finishedAt = ?, success = ?, leaseExpiresAt = NULL, runAt = NULL
+        WHERE id = ? AND state IN (?, ?)
+    `).run('Cancelled', finishedAt, 0, jobId, 'Waiting', 'Running');
+    if (result.changes === 0) {
+        return false;
+    }
+
+    const cancellation = runningJobs.get(jobId);
+    if (cancellation) {
+        cancellation.abort();
+    }
+    console.log(`[Queue] Job ${jobId} cancelled`);
+    onJobFinished(jobId);
+    return true;
+}
+
+/**
+ * Puts a failed or cancelled job back in the queue. Its attempt history is
+ * kept, so automatic retries go on from the attempts it has already used.
+ * A finished batch it belongs to is reopened, and reports again once the job
+ * is done. Returns false if the job is not failed or cancelled.
+ */
+function retryJob(jobId) {
+    const result = db.prepare(`
+        UPDATE jobs SET state = ?, runAt = NULL, startedAt = NULL, finishedAt = NULL, success = 0,
+            error = NULL, errorCode = NULL, httpStatus = NULL, completedBy = NULL
+        WHERE id = ? AND (state = ? OR (state = ? AND success = 0))
+    `).run('Waiting', jobId, 'Cancelled', 'Executed');
+    if (result.changes === 0) {
+        return false;
+    }
+
+    db.prepare('UPDATE batches SET finishedAt = NULL WHERE id = (SELECT batchId FROM jobs WHERE id = ?)').run(jobId);
+
+    // The next attempt records its own output and downloads under the same
+    // names. Failed attempts of older versions could leave theirs behind.
+    const staleArtifacts = db.prepare("SELECT path FROM artifacts WHERE jobId = ? AND kind IN ('output', 'download')").all(jobId);
+    for (const artifact of staleArtifacts) {
+        fs.rmSync(artifact.path, { force: true });
+    }
+    db.prepare("DELETE FROM artifacts WHERE jobId = ? AND kind IN ('output', 'download')").run(jobId);
+
+    console.log(`[Queue] Job ${jobId} requeued for a retry`);
+    publishQueueEvent('job.state_changed', jobId);
+    setImmediate(processNextJob);
+    return true;
+}
+
+/**
+ * Removes the files a job produced: its output, its downloads and any other artifact
+ */
+function deleteJobFiles(job) {
+    const artifactPaths = db.prepare('SELECT path FROM artifacts WHERE jobId = ?').all(job.id).map(a => a.path);
+    for (const filePath of new Set([job.outputPath, ...artifactPaths].filter(Boolean))) {
+        fs.rmSync(filePath, { force: true });
+    }
+    fs.rmSync(getJobDownloadPath(job.id), { recursive: true, force: true });
+    if (job.sourcePath) {
+        fs.rmSync(job.sourcePath, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Deletes a job together with its attempt history, artifacts and files
+ */
+const deleteJobRecords = db.transaction(jobId => {
+    db.prepare('DELETE FROM webhook_deliveries WHERE jobId = ?').run(jobId);
+    db.prepare('DELETE FROM job_events WHERE jobId = ?').run(jobId);
+    db.prepare('DELETE FROM artifacts WHERE jobId = ?').run(jobId);
+    db.prepare('DELETE FROM job_attempts WHERE jobId = ?').run(jobId);
+    db.prepare('DELETE FROM jobs WHERE id = ?').run(jobId);
+});
+
+function deleteJob(job) {
+    const row = db.prepare('SELECT * FROM jobs WHERE id = ?').get(job.id) || job;
+    deleteJobFiles(job);
+    deleteJobRecords(job.id);
+    console.log(`[Queue] Job ${job.id} deleted`);
+    publishQueueEvent('job.deleted', job.id, row);
+}
+
+/**
+ * Removes finished jobs older than their retention period, with their
+ * history and files: succeeded jobs after succeededDays, failed and cancelled
+ * ones after failedDays (0 keeps them forever). Jobs submitted with keep, and
+ * jobs whose webhook callback is still being delivered, are left alone.
+ * Batches are removed with the last of their jobs. With RETENTION_ARCHIVE_PATH
+ * set, every removed job is first appended to the day's archive file. With
+ * dryRun nothing is removed, only counted.
+ */
+function cleanupJobs({ succeededDays, failedDays, dryRun }) {
+    const report = { jobs: 0, succeeded: 0, failed: 0, archived: 0, bytes: 0 };
+    const conditions = [];
+    const params = [];
+    if (succeededDays > 0) {
+        conditions.push("(state = 'Executed' AND success = 1 AND finishedAt < ?)");
+        params.push(new Date(Date.now() - succeededDays * 86400000).toISOString());
+    }
+    if (failedDays > 0) {
+        conditions.push("((state = 'Cancelled' OR (state = 'Executed' AND success = 0)) AND finishedAt < ?)");
+        params.push(new Date(Date.now() - failedDays * 86400000).toISOString());
+    }
+    if (conditions.length === 0) {
+        return report;
+    }
+
+    const selectBatch = db.prepare(`
+        SELECT * FROM jobs
+        WHERE id > ? AND keep = 0 AND (${conditions.join(' OR ')})
+            AND NOT EXISTS (SELECT 1 FROM webhook_deliveries WHERE webhook_deliveries.jobId = jobs.id AND webhook_deliveries.state = 'Pending')
+        ORDER BY id ASC LIMIT ?
+    `);
+    const sizeOf = db.prepare('SELECT COALESCE(SUM(size), 0) AS bytes FROM artifacts WHERE jobId = ?');
+    const archivePath = RETENTION_ARCHIVE_PATH
+        && path.join(RETENTION_ARCHIVE_PATH, `jobs-${new Date().toISOString().slice(0, 10)}.ndjson`);
+
+    let lastId = 0;
+    for (;;) {
+        const jobs = selectBatch.all(lastId, ...params, CLEANUP_BATCH_SIZE);
+        if (jobs.length === 0) {
+            break;
+        }
+        lastId = jobs[jobs.length - 1].id;
+
+        for (const job of jobs) {
+            report.jobs++;
+            report[job.state === 'Executed' && job.success === 1 ? 'succeeded' : 'failed']++;
+            report.bytes += sizeOf.get(job.id).bytes;
+        }
+        if (dryRun) {
+            continue;
+        }
+
+        if (archivePath) {
+            const attempts = db.prepare(`SELECT * FROM job_attempts WHERE jobId IN (${jobs.map(() => '?').join(', ')}) ORDER BY attempt ASC`)
+                .all(...jobs.map(job => job.id));
+            fs.appendFileSync(archivePath, jobs.map(job => JSON.stringify({
+                ...formatJob(job),
+                attempts: attempts.filter(attempt => attempt.jobId === job.id).map(formatAttempt)
+            }) + '\n').join(''));
+            report.archived += jobs.length;
+        }
+        for (const job of jobs) {
+            deleteJobFiles(job);
+        }
+        db.transaction(() => jobs.forEach(job => deleteJobRecords(job.id)))();
+        for (const job of jobs) {
+            publishQueueEvent('job.deleted', job.id, job);
+        }
+    }
+
+    // A finished batch goes once the last of its jobs is gone and its callback is delivered
+    if (!dryRun) {
+        const emptyBatches = db.prepare(`
+            SELECT id FROM batches
+            WHERE finishedAt IS NOT NULL
+                AND NOT EXISTS (SELECT 1 FROM jobs WHERE jobs.batchId = batches.id)
+                AND NOT EXISTS (SELECT 1 FROM webhook_deliveries WHERE webhook_deliveries.batchId = batches.id AND webhook_deliveries.state = 'Pending')
+        `).all();
+        db.transaction(() => {
+            for (const batch of emptyBatches) {
+                db.prepare('DELETE FROM webhook_deliveries WHERE batchId = ?').run(batch.id);
+                db.prepare('DELETE FROM batches WHERE id = ?').run(batch.id);
+            }
+        })();
+    }
+    return report;
+}
+
+function getPathSize(filePath) {
+    const stats = fs.statSync(filePath);
+    if (!stats.isDirectory()) {
+        return stats.size;
+    }
+    return fs.readdirSync(filePath).reduce((total, name) => total + getPathSize(path.join(filePath, name)), 0);
+}
+
+/**
+ * Removes files and directories in DOWNLOAD_PATH, OUTPUT_PATH and SOURCE_PATH
+ * that belong to no job, e.g. left behind by a crash while a job was deleted.
+ * Returns how many were found and their size.
+ */
+function removeOrphanedFiles({ dryRun }) {
+    const report = { files: 0, bytes: 0 };
+    const jobExists = db.prepare('SELECT 1 FROM jobs WHERE id = ?');
+    const sourceInUse = db.prepare('SELECT 1 FROM jobs WHERE sourcePath = ?');
+    const candidates = [
+        ...fs.readdirSync(DOWNLOAD_PATH).map(name => ({ filePath: path.join(DOWNLOAD_PATH, name), match: /^job-(\d+)$/.exec(name) })),
+        ...fs.readdirSync(OUTPUT_PATH).map(name => ({ filePath: path.join(OUTPUT_PATH, name), match: /^job-(\d+)[.-]/.exec(name) }))
+    ].filter(candidate => candidate.match && !jobExists.get(parseInt(candidate.match[1])));
+    for (const name of fs.readdirSync(SOURCE_PATH)) {
+        const filePath = path.resolve(SOURCE_PATH, name);
+        if (!sourceInUse.get(filePath)) {
+            candidates.push({ filePath });
+        }
+    }
+
+    for (const { filePath } of candidates) {
+        try {
+            if (Date.now() - fs.statSync(filePath).mtimeMs < ORPHANED_FILE_MIN_AGE) {
+                continue;
+            }
+            report.files++;
+            report.bytes += getPathSize(filePath);
+            if (!dryRun) {
+                fs.rmSync(filePath, { recursive: true, force: true });
+            }
+        } catch (error) {
+            console.warn(`[Cleanup] Could not remove ${filePath}: ${error.message}`);
+        }
+    }
+    return report;
+}
+
+function getDatabaseSize() {
+    return db.pragma('page_count', { simple: true }) * db.pragma('page_size', { simple: true });
+}
+
+let lastVacuumAt = 0;
+
+/**
+ * Rebuilds the database file to give the space of removed rows back to the
+ * file system. Blocks the server while it runs. Returns the bytes freed.
+ */
+function vacuumDatabase() {
+    const sizeBefore = getDatabaseSize();
+    const started = Date.now();
+    db.exec('VACUUM');
+    lastVacuumAt = Date.now();
+    const freed = sizeBefore - getDatabaseSize();
+    console.log(`[Cleanup] Database vacuumed in ${Date.now() - started}ms, ${freed} bytes freed`);
+    return freed;
+}
+
+/**
+ * Runs the retention cleanup with the configured settings, removes orphaned
+ * files, and vacuums the database after removing jobs (at most once a day)
+ */
+function runCleanupSweep() {
+    try {
+        const removed = cleanupJobs({ succeededDays: RETENTION_DAYS, failedDays: RETENTION_FAILED_DAYS, dryRun: false });
+        const orphaned = removeOrphanedFiles({ dryRun: false });
+        if (removed.jobs > 0 || orphaned.files > 0) {
+            console.log(`[Cleanup] Removed ${removed.jobs} job(s) (${removed.succeeded} succeeded, ${removed.failed} failed or cancelled), ` +
+                `${orphaned.files} orphaned file(s), ${removed.bytes + orphaned.bytes} bytes`);
+        }
+        if (removed.jobs > 0 && Date.now() - lastVacuumAt >= VACUUM_INTERVAL) {
+            vacuumDatabase();
+        }
+    } catch (error) {
+        console.error('[Cleanup] Error during cleanup sweep:', error);
+    }
+}
+
+// Events streamed by GET /events. The latest QUEUE_EVENT_BUFFER_SIZE are kept
+// so that clients can resume after a reconnect. Event IDs are
+// "<stream>:<sequence>"; the stream changes whenever the server restarts.
+const QUEUE_EVENT_STREAM_ID = crypto.randomBytes(4).toString('hex');
+const queueEventBuffer = [];
+const queueEventSubscribers = new Set();
+let queueEventSequence = 0;
+
+function getLastQueueEventId() {
+    return `${QUEUE_EVENT_STREAM_ID}:${queueEventSequence}`;
+}
+
+/**
+ * Publishes a job.created, job.state_changed, job.finished or job.deleted
+ * event to the subscribers of GET /events. The job's row is read from the
+ * database unless it is given, as it must be for deleted jobs.
+ */
+function publishQueueEvent(type, jobId, job) {
+    try {
+        const row = job || db.prepare('SELECT * FROM jobs WHERE id = ?').get(jobId);
+        if (!row) {
+            return;
+        }
+        queueEventSequence++;
+        const event = {
+            sequence: queueEventSequence,
+            id: getLastQueueEventId(),
+            type: type,
+            job: formatJob(row)
+        };
+        queueEventBuffer.push(event);
+        if (queueEventBuffer.length > QUEUE_EVENT_BUFFER_SIZE) {
+            queueEventBuffer.shift();
+        }
+        for (const subscriber of queueEventSubscribers) {
+            subscriber(event);
+        }
+    } catch (error) {
+        console.error(`[Events] Failed to publish ${type} for job ${jobId}:`, error);
+    }
+}
+
+/**
+ * Waits until a job is Executed or Cancelled, or was deleted. Resolves with
+ * the job's row, with null if it was deleted, or with undefined when timeout
+ * milliseconds pass or the signal aborts first. Jobs of this process are
+ * noticed from their events; those that other processes run by polling.
+ */
+function waitForJob(jobId, timeout, signal) {
+    return new Promise(resolve => {
+        let done = false;
+        const finish = result => {
+            if (done) {
+                return;
+            }
+            done = true;
+            clearInterval(poll);
+            clearTimeout(timer);
+            queueEventSubscribers.delete(subscriber);
+            signal.removeEventListener('abort', onAbort);
+            resolve(result);
+        };
+        const check = () => {
+            const job = db.prepare('SELECT * FROM jobs WHERE id = ?').get(jobId);
+            if (!job) {
+                finish(null);
+            } else if (job.state === 'Executed' || job.state === 'Cancelled') {
+                finish(job);
+            }
+        };
+        const subscriber = event => {
+            if (event.job.id === jobId && (event.type === 'job.finished' || event.type === 'job.deleted')) {
+                check();
+            }
+        };
+        const onAbort = () => finish(undefined);
+        const poll = setInterval(check, RENDER_POLL_INTERVAL);
+        const timer = setTimeout(() => finish(undefined), timeout);
+
+        queueEventSubscribers.add(subscriber);
+        signal.addEventListener('abort', onAbort);
+        check();
+    });
+}
+
+/**
+ * Called whenever a job reaches a final state (Executed or Cancelled)
+ */
+function onJobFinished(jobId) {
+    publishQueueEvent('job.finished', jobId);
+    try {
+        scheduleJobCallback(jobId);
+    } catch (error) {
+        console.error(`[Webhook] Failed to schedule callback for job ${jobId}:`, error);
+    }
+    try {
+        finishBatchOfJob(jobId);
+    } catch (error) {
+        console.error(`[Batch] Failed to check the batch of job ${jobId}:`, error);
+    }
+}
+
+/**
+ * Marks the batch of a job finished once none of its jobs is waiting or
+ * running any more, and schedules the batch's callback. Only one process can
+ * set finishedAt, so the callback is sent once.
+ */
+function finishBatchOfJob(jobId) {
+    const job = db.prepare('SELECT batchId FROM jobs WHERE id = ?').get(jobId);
+    if (!job || job.batchId === null) {
+        return;
+    }
+    const result = db.prepare(`
+        UPDATE batches SET finishedAt = ?
+        WHERE id = ? AND finishedAt IS NULL
+            AND NOT EXISTS (SELECT 1 FROM jobs WHERE jobs.batchId = batches.id AND jobs.state IN ('Waiting', 'Running'))
+    `).run(new Date().toISOString(), job.batchId);
+    if (result.changes === 0) {
+        return;
+    }
+
+    console.log(`[Batch] Batch ${job.batchId} finished`);
+    scheduleBatchCallback(job.batchId);
+}
+
+/**
+ * Builds the callback payload of a finished job and schedules its first
+ * delivery attempt, if the job was submitted with a callbackUrl
+ */
+function scheduleJobCallback(jobId) {
+    const job = db.prepare('SELECT * FROM jobs WHERE id = ?').get(jobId);
+    const formattedJob = job && formatJob(job);
+    if (!formattedJob || !formattedJob.options.callback) {
+        return;
+    }
+
+    const artifacts = db.prepare('SELECT * FROM artifacts WHERE jobId = ? ORDER BY id ASC').all(jobId)
+        .map(artifact => {
+            const formatted = formatArtifact(artifact);
+            return { ...formatted, url: PUBLIC_BASE_URL + formatted.url };
+        });
+    const deliveryId = crypto.randomUUID();
+    const payload = {
+        event: 'job.finished',
+        deliveryId: deliveryId,
+        job: formattedJob,
+        artifacts: artifacts,
+        links: {
+            job: `${PUBLIC_BASE_URL}/job/${jobId}`,
+            output: formattedJob.hasOutput ? `${PUBLIC_BASE_URL}/job/${jobId}/output` : null,
+            artifacts: `${PUBLIC_BASE_URL}/job/${jobId}/artifacts`
+        }
+    };
+
+    // The job in the payload has its secrets redacted, the callback headers are needed as they are
+    const { url, headers } = parseJobOptions(job).callback;
+    db.prepare(`
+        INSERT INTO webhook_deliveries (deliveryId, jobId, event, url, headers, payload, attempt, state, scheduledAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(deliveryId, jobId, payload.event, url, JSON.stringify(headers), JSON.stringify(payload), 1, 'Pending', new Date().toISOString());
+    setImmediate(deliverDueWebhooks);
+}
+
+/**
+ * Builds the callback payload of a finished batch, with the status of every
+ * item, and schedules its first delivery attempt, if the batch was submitted
+ * with a callbackUrl
+ */
+function scheduleBatchCallback(batchId) {
+    const batch = db.prepare('SELECT * FROM batches WHERE id = ?').get(batchId);
+    if (!batch || !batch.callback) {
+        return;
+    }
+
+    const jobs = db.prepare('SELECT * FROM jobs WHERE batchId = ? ORDER BY batchIndex ASC').all(batchId);
+    const deliveryId = crypto.randomUUID();
+    const payload = {
+        event: 'batch.finished',
+        deliveryId: deliveryId,
+        batch: formatBatch(batch, jobs),
+        items: jobs.map(job => {
+            const item = formatBatchItem(job);
+            return { ...item, outputUrl: item.outputUrl && PUBLIC_BASE_URL + item.outputUrl };
+        }),
+        links: {
+            batch: `${PUBLIC_BASE_URL}/batches/${batchId}`,
+            download: `${PUBLIC_BASE_URL}/batches/${batchId}/download`
+        }
+    };
+
+    const { url, headers } = JSON.parse(batch.callback);
+    db.prepare(`
+        INSERT INTO webhook_deliveries (deliveryId, batchId, event, url, headers, payload, attempt, state, scheduledAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(deliveryId, batchId, payload.event, url, JSON.stringify(headers), JSON.stringify(payload), 1, 'Pending', new Date().toISOString());
+    setImmediate(deliverDueWebhooks);
+}
+
+/**
+ * Signs a webhook body with WEBHOOK_SECRET. Receivers recompute the HMAC over
+ * the raw request body and compare it with the X-PdfServer-Signature header.
+ */
+function signWebhookBody(body) {
+    return 'sha256=' + crypto.createHmac('sha256', WEBHOOK_SECRET).update(body).digest('hex');
+}
+
+// IDs of delivery rows currently being sent, so a slow endpoint is not hit twice
+const deliveriesInFlight = new Set();
+
+/**
+ * Sends one attempt of a webhook and records its outcome. A failed attempt
+ * schedules the next one with backoff until WEBHOOK_MAX_ATTEMPTS is reached.
+ */
+async function deliverWebhook(delivery) {
+    const attemptedAt = new Date().toISOString();
+    const started = Date.now();
+    const body = delivery.payload;
+    const headers = {
+        ...JSON.parse(delivery.headers || '{}'),
+        'Content-Type': 'application/json',
+        'User-Agent': 'nodejsPdfServer-Webhook/1.0',
+        'X-PdfServer-Event': delivery.event,
+        'X-PdfServer-Delivery': delivery.deliveryId,
+        'X-PdfServer-Attempt': String(delivery.attempt)
+    };
+    if (WEBHOOK_SECRET) {
+        headers['X-PdfServer-Signature'] = signWebhookBody(body);
+    }
+
+    let responseStatus = null;
+    let responseBody = null;
+    let error = null;
+    // The URL policy may have changed, or the host may resolve differently, since the callback was submitted
+    const violation = await checkUrlPolicy(delivery.url);
+    try {
+        if (violation) {
+            throw new Error(`Callback URL is not allowed: ${violation}`);
+        }
+        const response = await fetch(delivery.url, {
+            method: 'POST',
+            headers: headers,
+            body: body,
+            redirect: 'manual',
+            signal: AbortSignal.timeout(WEBHOOK_TIMEOUT)
+        });
+        responseStatus = response.status;
+        responseBody = (await response.text()).slice(0, 1000);
+        if (response.status < 200 || response.status >= 300) {
+            error = `Endpoint responded with HTTP ${response.status}`;
+        }
+    } catch (fetchError) {
+        error = fetchError.name === 'TimeoutError'
+            ? `No response within ${WEBHOOK_TIMEOUT / 1000}s`
+            : fetchError.cause ? `${fetchError.message}: ${fetchError.cause.message}` : fetchError.message;
+    }
+
+    const state = error ? 'Failed' : 'Delivered';
+    db.prepare(`
+        UPDATE webhook_deliveries SET state = ?, attemptedAt = ?, durationMs = ?, responseStatus = ?, responseBody = ?, error = ?
+        WHERE id = ?
+    `).run(state, attemptedAt, Date.now() - started, responseStatus, responseBody, error, delivery.id);
+
+    if (!error) {
+        const subject = delivery.batchId !== null ? `batch ${delivery.batchId}` : `job ${delivery.jobId}`;
+        console.log(`[Webhook] Delivered ${delivery.event} for ${subject} to ${delivery.url}`);
+    } else if (delivery.attempt < WEBHOOK_MAX_ATTEMPTS && !violation) {
+        const scheduledAt = new Date(Date.now() + getRetryDelay(WEBHOOK_RETRY_POLICY, delivery.attempt)).toISOString();
+        db.prepare(`
+            INSERT INTO webhook_deliveries (deliveryId, jobId, batchId, event, url, headers, payload, attempt, state, scheduledAt)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(delivery.deliveryId, delivery.jobId, delivery.batchId, delivery.event, delivery.url, delivery.headers, delivery.payload,
+            delivery.attempt + 1, 'Pending', scheduledAt);
+        console.warn(`[Webhook] Delivery to ${delivery.url} failed (${error}), retrying at ${scheduledAt}`);
+    } else {
+        console.error(`[Webhook] Delivery to ${delivery.url} failed (${error}), giving up after ${delivery.attempt} attempts`);
+    }
+}
+
+/**
+ * Sends every pending webhook attempt that is due
+ */
+async function deliverDueWebhooks() {
+    try {
+        const due = db.prepare('SELECT * FROM webhook_deliveries WHERE state = ? AND scheduledAt <= ? ORDER BY id ASC')
+            .all('Pending', new Date().toISOString())
+            .filter(delivery => !deliveriesInFlight.has(delivery.id));
+
+        await Promise.all(due.map(async delivery => {
+            deliveriesInFlight.add(delivery.id);
+            try {
+                await deliverWebhook(delivery);
+            } catch (error) {
+                console.error(`[Webhook] Error delivering webhook ${delivery.id}:`, error);
+            } finally {
+                deliveriesInFlight.delete(delivery.id);
+            }
+        }));
+    } catch (error) {
+        console.error('[Webhook] Error looking for due webhooks:', error);
+    }
+}
+
+if (!AUTH_ENABLED) {
+    console.warn('[Auth] ADMIN_API_KEY is not set, every route is open without an API key');
+}
+if (!WEBHOOK_SECRET) {
+    console.warn('[Webhook] WEBHOOK_SECRET is not set, job callbacks will be sent unsigned');
+}
+setInterval(deliverDueWebhooks, WEBHOOK_POLL_INTERVAL);
+
+/**
+ * Adds a job to the queue and wakes up the workers. Jobs with html, an
+ * uploaded document or the document of the job they copy get their source
+ * directory first. Returns the new job's ID and URL.
+ */
+function enqueueJob(request) {
+    const source = createJobSource(request);
+    let jobId;
+    try {
+        jobId = insertJob(source, request);
+    } catch (error) {
+        removeJobSources([source]);
+        throw error;
+    }
+    announceJob(jobId, source);
+    return { jobId: jobId, url: source.url };
+}
+
+/**
+ * Inserts the row of a job whose source createJobSource has prepared, and
+ * nothing else, so that it can be part of a larger transaction. The job is
+ * only announced to the workers and event listeners by announceJob once that
+ * transaction has committed. Returns the new job's ID.
+ */
+function insertJob(source, { options, priority, runAt, scheduleId, template, batch, apiKeyId, keep }) {
+    return db.prepare(`
+        INSERT INTO jobs (url, state, requestedAt, options, priority, runAt, scheduleId, sourceType, sourcePath,
+            templateId, templateVersion, templateData, batchId, batchIndex, batchFileName, apiKeyId, keep)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(source.url, 'Waiting', new Date().toISOString(), JSON.stringify(options), priority || 0, runAt || null, scheduleId || null,
+        source.sourceType, source.sourcePath,
+        template ? template.id : null, template ? template.version : null, template ? JSON.stringify(template.data) : null,
+        batch ? batch.id : null, batch ? batch.index : null, batch ? batch.fileName : null,
+        apiKeyId || null, keep ? 1 : 0).lastInsertRowid;
+}
+
+function announceJob(jobId, source) {
+    console.log(`Job ${jobId} added to queue (${source.sourceType}): ${source.url}`);
+    publishQueueEvent('job.created', jobId);
+
+    // Trigger worker to check for new jobs
+    setImmediate(processNextJob);
+}
+
+/**
+ * Removes the source directories of jobs that were never inserted
+ */
+function removeJobSources(sources) {
+    for (const source of sources) {
+        if (source.sourcePath) {
+            fs.rmSync(source.sourcePath, { recursive: true, force: true });
+        }
+    }
+}
+
+/**
+ * Enqueues the due runs of one schedule and moves its nextRunAt past now.
+ * Runs missed while the server was down are dropped under the skip policy
+ * (unless they are less than SCHEDULE_MISFIRE_GRACE late) and enqueued under
+ * catchUp, up to MAX_CATCH_UP_RUNS of the most recent ones. Each job's runAt
+ * is the time the run was due. Returns the number of jobs enqueued.
+ */
+function runDueSchedule(schedule, now) {
+    const job = JSON.parse(schedule.job);
+
+    // The due runs are walked back from now, so a long downtime costs no more
+    // than MAX_CATCH_UP_RUNS steps. One step further tells if more were missed.
+    const dueRuns = [];
+    const firstDueRun = new Date(schedule.nextRunAt);
+    const pastRuns = CronExpressionParser.parse(schedule.cron, {
+        currentDate: new Date(now.getTime() + 1),
+        tz: schedule.timezone
+    });
+    let moreRunsMissed = false;
+    while (pastRuns.hasPrev()) {
+        const runAt = pastRuns.prev().toDate();
+        if (runAt < firstDueRun) {
+            break;
+        }
+        if (dueRuns.length === MAX_CATCH_UP_RUNS) {
+            moreRunsMissed = true;
+            break;
+        }
+        dueRuns.unshift(runAt);
+    }
+    const nextRunAt = CronExpressionParser.parse(schedule.cron, { currentDate: now, tz: schedule.timezone }).next().toDate();
+
+    const runsToEnqueue = schedule.missedRunPolicy === 'catchUp'
+        ? dueRuns
+        : dueRuns.filter(runAt => now - runAt <= SCHEDULE_MISFIRE_GRACE).slice(-1);
+
+    // Only the rows are written in the transaction: the source directories are
+    // created before it and removed if it rolls back or another process has
+    // handled this run already, and the jobs are announced once it has committed
+    const sources = [];
+    let jobIds;
+    try {
+        for (let index = 0; index < runsToEnqueue.length; index++) {
+            sources.push(createJobSource(job));
+        }
+        jobIds = insertScheduleRuns(schedule, nextRunAt, runsToEnqueue.map((runAt, index) => ({ runAt, source: sources[index] })));
+    } catch (error) {
+        removeJobSources(sources);
+        throw error;
+    }
+    if (!jobIds) {
+        removeJobSources(sources);
+        return 0;
+    }
+
+    if (runsToEnqueue.length < dueRuns.length || moreRunsMissed) {
+        const skipped = moreRunsMissed
+            ? `at least ${dueRuns.length - runsToEnqueue.length + 1}`
+            : dueRuns.length - runsToEnqueue.length;
+        console.warn(`[Schedule] Schedule ${schedule.id} skipped ${skipped} missed run(s) (policy: ${schedule.missedRunPolicy})`);
+    }
+    jobIds.forEach((jobId, index) => {
+        announceJob(jobId, sources[index]);
+        console.log(`[Schedule] Schedule ${schedule.id} enqueued job ${jobId} for ${runsToEnqueue[index].toISOString()}`);
+    });
+    return jobIds.length;
+}
+
+/**
+ * Moves a schedule's nextRunAt and inserts the jobs of its due runs. Returns
+ * their IDs, or null if another process has handled these runs already.
+ */
+const insertScheduleRuns = db.transaction((schedule, nextRunAt, runs) => {
+    const claimed = db.prepare('UPDATE schedules SET nextRunAt = ? WHERE id = ? AND nextRunAt = ?')
+        .run(nextRunAt.toISOString(), schedule.id, schedule.nextRunAt);
+    if (claimed.changes === 0) {
+        return null;
+    }
+
+    const job = JSON.parse(schedule.job);
+    return runs.map(({ runAt, source }) => {
+        const jobId = insertJob(source, { ...job, runAt: runAt.toISOString(), scheduleId: schedule.id });
+        db.prepare('UPDATE schedules SET lastRunAt = ?, lastJobId = ? WHERE id = ?')
+            .run(runAt.toISOString(), jobId, schedule.id);
+        return jobId;
+    });
+});
+
+/**
+ * Enqueues the runs of every enabled schedule that has come due
+ */
+function runDueSchedules() {
+    const now = new Date();
+    const schedules = db.prepare('SELECT * FROM schedules WHERE enabled = 1 AND nextRunAt <= ? ORDER BY nextRunAt ASC')
+        .all(now.toISOString());
+    for (const schedule of schedules) {
+        try {
+            runDueSchedule(schedule, now);
+        } catch (error) {
+            console.error(`[Schedule] Error running schedule ${schedule.id}:`, error);
+        }
+    }
+}
+
+// Recover jobs left Running by a previous process, then keep checking for
+// jobs whose worker stopped renewing their lease
+const recoveredJobs = recoverOrphanedJobs();
+console.log(`[Recovery] Worker ${WORKER_ID}: ${recoveredJobs} orphaned job(s) recovered at startup (policy: ${ORPHANED_JOB_POLICY})`);
+setInterval(() => {
+    if (recoverOrphanedJobs() > 0) {
+        setImmediate(processNextJob);
+    }
+}, HEARTBEAT_INTERVAL);
+
+// Catch up on schedules that came due while the server was down, then keep
+// checking for due runs
+runDueSchedules();
+setInterval(runDueSchedules, SCHEDULE_POLL_INTERVAL);
+
+// Remove jobs past their retention period and orphaned files
+if (RETENTION_DAYS > 0 || RETENTION_FAILED_DAYS > 0) {
+    console.log(`[Cleanup] Keeping succeeded jobs ${RETENTION_DAYS || 'forever'} day(s) and failed jobs ${RETENTION_FAILED_DAYS || 'forever'} day(s)` +
+        (RETENTION_ARCHIVE_PATH ? `, archiving them to ${RETENTION_ARCHIVE_PATH}` : ''));
+}
+setInterval(runCleanupSweep, CLEANUP_INTERVAL);
+
+// Start the background worker
+console.log(`[Worker] Starting ${WORKER_CONCURRENCY} worker slot(s), recycling browsers after ${BROWSER_MAX_JOBS} jobs`);
+processNextJob();
+
+// Find out whether Chrome starts before the first readiness check asks
+checkBrowser();
+
+const documentUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_UPLOAD_SIZE, files: 1, fields: 10, fieldSize: 1024 * 1024 }
+}).single('file');
+
+/**
+ * Parses a multipart/form-data job submission: the document in the "file"
+ * field and the other job settings as JSON in the "options" field. Other
+ * requests pass through untouched.
+ */
+function parseDocumentUpload(req, res, next) {
+    documentUpload(req, res, error => {
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid upload: ${error.message}`
+            });
+        }
+        next();
+    });
+}
+
+/**
+ * Parses the job of a POST /runPdf or POST /render request: a JSON body, or
+ * a multipart upload of the document with the other fields as JSON in options
+ */
+function parseSubmission(req) {
+    if (!req.is('multipart/form-data')) {
+        return { jobRequest: parseJobRequest(req.body) };
+    }
+    if (!req.file) {
+        throw new ValidationError('A multipart submission needs the document in the file field');
+    }
+    let body;
+    try {
+        body = req.body.options === undefined ? {} : JSON.parse(req.body.options);
+    } catch (error) {
+        throw new ValidationError('options must be a JSON object');
+    }
+    return {
+        jobRequest: parseJobRequest(body, { upload: true }),
+        upload: { buffer: req.file.buffer, originalname: req.file.originalname, entry: req.body.entry }
+    };
+}
+
+/**
+ * Checks a parsed submission against the URL policy and adds it to the queue
+ * for the request's API key. Returns the new job's ID and URL.
+ */
+async function submitJob(req, { jobRequest, upload }) {
+    // Hosts that resolve to private networks can only be told apart after resolving them
+    const violation = jobRequest.url ? await checkUrlPolicy(jobRequest.url) : null;
+    if (violation) {
+        throw new ValidationError(`URL is not allowed: ${violation}`);
+    }
+    await checkCallbackPolicy(jobRequest.options.callback);
+
+    const result = enqueueJob({ ...jobRequest, upload, apiKeyId: req.apiKey && req.apiKey.id });
+    countJobAgainstQuota(req.apiKey);
+    return result;
+}
+
+/**
+ * POST /runPdf
+ * Accepts a URL, an HTML document or an uploaded document plus optional output settings and adds it to the job queue
+ * 
+ * Request body: { "url": "http://example.com", "output": "pdf", "pdf": { "format": "a4", "landscape": true } }
+ * Multipart: file (.html or .zip), options (JSON of the other fields), entry (HTML file in the zip)
+ * Response: { "success": true, "jobId": 123, "message": "Job added to queue" }
+ */
+app.post('/runPdf', requireScope('submit'), enforceSubmissionLimits, parseDocumentUpload, async (req, res) => {
+    let submission;
+    try {
+        submission = parseSubmission(req);
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+        throw error;
+    }
+
+    try {
+        // Add job to queue
+        const { jobId, url } = await submitJob(req, submission);
+
+        // Send success response
+        res.json({
+            success: true,
+            jobId: jobId,
+            message: 'Job added to queue',
+            url: url
+        });
+
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+        console.error('Error adding job to queue:', error);
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to add job to queue',
+            details: error.message
+        });
+    }
+});
+
+function parseRenderQuery(query) {
+    const timeout = query.timeout === undefined ? RENDER_DEFAULT_TIMEOUT : Number(query.timeout);
+    if (!Number.isInteger(timeout) || timeout < 1000 || timeout > RENDER_MAX_TIMEOUT) {
+        throw new ValidationError(`timeout must be a whole number of milliseconds between 1000 and ${RENDER_MAX_TIMEOUT}`);
+    }
+    if (query.cancelOnDisconnect !== undefined && query.cancelOnDisconnect !== 'true' && query.cancelOnDisconnect !== 'false') {
+        throw new ValidationError('cancelOnDisconnect must be true or false');
+    }
+    return { timeout: timeout, cancelOnDisconnect: query.cancelOnDisconnect === 'true' };
+}
+
+/**
+ * POST /render
+ * Takes the same body as POST /runPdf, queues the job like any other and
+ * holds the connection until it finishes, then answers with its PDF or image.
+ * Query: timeout (milliseconds to wait), cancelOnDisconnect (cancel the job
+ * when the client goes away). A job still unfinished after the timeout is
+ * answered with 202 and its ID, and keeps running.
+ */
+app.post('/render', requireScope('submit'), enforceSubmissionLimits, parseDocumentUpload, async (req, res) => {
+    let renderOptions;
+    let submission;
+    try {
+        renderOptions = parseRenderQuery(req.query);
+        submission = parseSubmission(req);
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+        throw error;
+    }
+
+    let jobId;
+    try {
+        ({ jobId } = await submitJob(req, submission));
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+        console.error('Error adding job to queue:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to add job to queue',
+            details: error.message
+        });
+    }
+
+    // A client that goes away stops the wait, and cancels the job if it asked to
+    const disconnect = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            disconnect.abort();
+        }
+    });
+
+    try {
+        const job = await waitForJob(jobId, renderOptions.timeout, disconnect.signal);
+        if (disconnect.signal.aborted) {
+            console.log(`[Queue] Render client of job ${jobId} disconnected`);
+            if (renderOptions.cancelOnDisconnect) {
+                cancelJob(jobId);
+            }
+            return;
+        }
+
+        res.set('X-Job-Id', String(jobId));
+        if (job === undefined) {
+            const current = db.prepare('SELECT state FROM jobs WHERE id = ?').get(jobId);
+            res.set('Location', `/job/${jobId}`);
+            return res.status(202).json({
+                success: true,
+                jobId: jobId,
+                state: current ? current.state : null,
+                message: `Job did not finish within ${renderOptions.timeout}ms, it keeps running`,
+                statusUrl: `/job/${jobId}`,
+                outputUrl: `/job/${jobId}/output`
+            });
+        }
+        if (job === null) {
+            return res.status(410).json({
+                success: false,
+                error: 'Job was deleted before it finished',
+                jobId: jobId
+            });
+        }
+        if (job.state === 'Cancelled') {
+            return res.status(409).json({
+                success: false,
+                error: 'Job was cancelled',
+                jobId: jobId
+            });
+        }
+        if (job.success !== 1) {
+            return res.status(502).json({
+                success: false,
+                error: 'Job failed',
+                jobId: jobId,
+                errorCode: job.errorCode,
+                details: summarizeJobError(job)
+            });
+        }
+
+        sendJobOutput(res, job);
+    } catch (error) {
+        console.error(`Error rendering job ${jobId}:`, error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to render job',
+            jobId: jobId,
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Builds the WHERE conditions of GET /queue and GET /queue/stats from the
+ * query parameters state, success, url, requestedAfter, requestedBefore and
+ * apiKeyId. Keys without the admin scope are always limited to their own jobs.
+ */
+function parseQueueFilters(req) {
+    const query = req.query;
+    const conditions = [];
+    const params = [];
+
+    if (!isAdmin(req)) {
+        conditions.push('apiKeyId = ?');
+        params.push(req.apiKey.id);
+    }
+    if (query.state !== undefined) {
+        const states = String(query.state).split(',').map(state => state.trim());
+        if (states.some(state => !JOB_STATES.includes(state))) {
+            throw new ValidationError(`state must be one or more of: ${JOB_STATES.join(', ')}`);
+        }
+        conditions.push(`state IN (${states.map(() => '?').join(', ')})`);
+        params.push(...states);
+    }
+    if (query.success !== undefined) {
+        if (query.success !== 'true' && query.success !== 'false') {
+            throw new ValidationError('success must be true or false');
+        }
+        conditions.push('success = ?');
+        params.push(query.success === 'true' ? 1 : 0);
+    }
+    if (query.url !== undefined) {
+        conditions.push("url LIKE ? ESCAPE '\\'");
+        params.push(`%${String(query.url).replace(/[\\%_]/g, '\\$&')}%`);
+    }
+    for (const [name, operator] of [['requestedAfter', '>='], ['requestedBefore', '<']]) {
+        if (query[name] !== undefined) {
+            const date = new Date(String(query[name]));
+            if (isNaN(date.getTime())) {
+                throw new ValidationError(`${name} must be an ISO 8601 timestamp`);
+            }
+            conditions.push(`requestedAt ${operator} ?`);
+            params.push(date.toISOString());
+        }
+    }
+    if (query.apiKeyId !== undefined) {
+        const apiKeyId = parseInt(query.apiKeyId);
+        if (isNaN(apiKeyId)) {
+            throw new ValidationError('apiKeyId must be a number');
+        }
+        conditions.push('apiKeyId = ?');
+        params.push(apiKeyId);
+    }
+
+    return { conditions, params };
+}
+
+/**
+ * Reads the sort, order, limit and cursor query parameters of GET /queue.
+ * A cursor names the last job of the previous page, along with the sort it
+ * was taken from.
+ */
+function parseQueuePage(query) {
+    const sort = query.sort === undefined ? 'id' : String(query.sort);
+    if (!Object.prototype.hasOwnProperty.call(QUEUE_SORT_FIELDS, sort)) {
+        throw new ValidationError(`sort must be one of: ${Object.keys(QUEUE_SORT_FIELDS).join(', ')}`);
+    }
+    const order = query.order === undefined ? 'desc' : String(query.order);
+    if (order !== 'asc' && order !== 'desc') {
+        throw new ValidationError('order must be asc or desc');
+    }
+
+    const limit = query.limit === undefined ? DEFAULT_QUEUE_LIMIT : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_QUEUE_LIMIT) {
+        throw new ValidationError(`limit must be a whole number between 1 and ${MAX_QUEUE_LIMIT}`);
+    }
+
+    let after = null;
+    if (query.cursor !== undefined) {
+        try {
+            after = JSON.parse(Buffer.from(String(query.cursor), 'base64url').toString());
+        } catch (error) {
+            after = null;
+        }
+        // The value is bound as an SQL parameter, which takes nothing but strings and numbers
+        const validValue = after && (typeof after.value === 'string' || Number.isFinite(after.value));
+        if (!validValue || after.sort !== sort || after.order !== order || !Number.isInteger(after.id)) {
+            throw new ValidationError('cursor is invalid or was taken with a different sort or order');
+        }
+    }
+
+    return { sort, order, limit, after };
+}
+
+function encodeQueueCursor(sort, order, job) {
+    const value = job[sort] === null ? '' : job[sort];
+    return Buffer.from(JSON.stringify({ sort, order, value, id: job.id })).toString('base64url');
+}
+
+/**
+ * GET /queue
+ * Returns a page of jobs with their states and timestamps, newest first.
+ * Query: state, success, url, requestedAfter, requestedBefore, apiKeyId,
+ * sort, order, limit, cursor (the nextCursor of the previous page).
+ */
+app.get('/queue', requireScope('read'), (req, res) => {
+    let filters;
+    let page;
+    try {
+        filters = parseQueueFilters(req);
+        page = parseQueuePage(req.query);
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+        throw error;
+    }
+
+    try {
+        const { conditions, params } = filters;
+        const { sort, order, limit, after } = page;
+        const sortExpression = QUEUE_SORT_FIELDS[sort];
+        if (after) {
+            conditions.push(`(${sortExpression}, id) ${order === 'desc' ? '<' : '>'} (?, ?)`);
+            params.push(after.value, after.id);
+        }
+
+        // One job more than the page holds tells whether there is a next page
+        const jobs = db.prepare(`
+            SELECT * FROM jobs
+            ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+            ORDER BY ${sortExpression} ${order.toUpperCase()}, id ${order.toUpperCase()}
+            LIMIT ?
+        `).all(...params, limit + 1);
+        const hasMore = jobs.length > limit;
+        if (hasMore) {
+            jobs.pop();
+        }
+
+        const queuePositions = getQueuePositions();
+        res.json({
+            success: true,
+            jobs: jobs.map(job => ({ ...formatJob(job), queuePosition: queuePositions.get(job.id) || null })),
+            nextCursor: hasMore ? encodeQueueCursor(sort, order, jobs[jobs.length - 1]) : null,
+            lastEventId: getLastQueueEventId()
+        });
+    } catch (error) {
+        console.error('Error fetching jobs:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch jobs',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * GET /queue/stats
+ * Returns the number of jobs in each state, and how many of the executed
+ * ones succeeded or failed. Takes the same filters as GET /queue.
+ */
+app.get('/queue/stats', requireScope('read'), (req, res) => {
+    let filters;
+    try {
+        filters = parseQueueFilters(req);
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+        throw error;
+    }
+
+    try {
+        const { conditions, params } = filters;
+        const rows = db.prepare(`
+            SELECT state, success, COUNT(*) AS count FROM jobs
+            ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+            GROUP BY state, success
+        `).all(...params);
+
+        const stats = {
+            total: 0,
+            states: Object.fromEntries(JOB_STATES.map(state => [state, 0])),
+            succeeded: 0,
+            failed: 0
+        };
+        for (const row of rows) {
+            stats.total += row.count;
+            stats.states[row.state] = (stats.states[row.state] || 0) + row.count;
+            if (row.state === 'Executed') {
+                stats[row.success === 1 ? 'succeeded' : 'failed'] += row.count;
+            }
+        }
+
+        res.json({
+            success: true,
+            stats: stats
+        });
+    } catch (error) {
+        console.error('Error fetching queue stats:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch queue stats',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Parses the jobId and state filters of GET /events into a predicate on
+ * events. Keys without the admin scope only get the events of their own jobs.
+ */
+function parseQueueEventFilter(req) {
+    const query = req.query;
+    let jobIds = null;
+    if (query.jobId !== undefined) {
+        jobIds = String(query.jobId).split(',').map(jobId => Number(jobId.trim()));
+        if (jobIds.some(jobId => !Number.isInteger(jobId) || jobId < 1)) {
+            throw new ValidationError('jobId must be one or more job IDs');
+        }
+    }
+    let states = null;
+    if (query.state !== undefined) {
+        states = String(query.state).split(',').map(state => state.trim());
+        if (states.some(state => !JOB_STATES.includes(state))) {
+            throw new ValidationError(`state must be one or more of: ${JOB_STATES.join(', ')}`);
+        }
+    }
+    const apiKeyId = isAdmin(req) ? null : req.apiKey.id;
+
+    return event => (jobIds === null || jobIds.includes(event.job.id))
+        && (states === null || states.includes(event.job.state))
+        && (apiKeyId === null || event.job.apiKeyId === apiKeyId);
+}
+
+/**
+ * Finds the buffered events that follow lastEventId. Returns null when they
+ * cannot be told: the ID is from before a restart, or the events after it
+ * were already dropped from the buffer.
+ */
+function getQueueEventsAfter(lastEventId) {
+    const [stream, sequence] = String(lastEventId).split(':');
+    const after = Number(sequence);
+    const oldest = queueEventBuffer.length > 0 ? queueEventBuffer[0].sequence : queueEventSequence + 1;
+    if (stream !== QUEUE_EVENT_STREAM_ID || !Number.isInteger(after) || after > queueEventSequence || after < oldest - 1) {
+        return null;
+    }
+    return queueEventBuffer.filter(event => event.sequence > after);
+}
+
+function writeQueueEvent(res, event) {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ type: event.type, job: event.job })}\n\n`);
+}
+
+/**
+ * GET /events
+ * Streams job.created, job.state_changed, job.finished and job.deleted events
+ * as Server-Sent Events, each with the job as GET /queue lists it. Optional
+ * filters: ?jobId=1,2 and ?state=Running,Executed (the job's state after the
+ * event). A client that sends Last-Event-ID (header or ?lastEventId=) first
+ * gets the events it missed, or a reset event when they are no longer known.
+ */
+app.get('/events', requireScope('read'), (req, res) => {
+    let filter;
+    try {
+        filter = parseQueueEventFilter(req);
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+        throw error;
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${QUEUE_EVENT_RETRY}\n\n`);
+
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    if (lastEventId !== undefined) {
+        const missed = getQueueEventsAfter(lastEventId);
+        if (missed === null) {
+            // The client has to reload what it shows, e.g. from GET /queue, and continues from here
+            res.write(`id: ${getLastQueueEventId()}\nevent: reset\ndata: ${JSON.stringify({ type: 'reset', lastEventId: getLastQueueEventId() })}\n\n`);
+        } else {
+            missed.filter(filter).forEach(event => writeQueueEvent(res, event));
+        }
+    }
+
+    const subscriber = event => {
+        if (!filter(event)) {
+            return;
+        }
+        if (res.writableLength > MAX_QUEUE_EVENT_BACKLOG) {
+            console.warn(`[Events] Disconnecting a client that is ${res.writableLength} bytes behind`);
+            unsubscribe();
+            res.end();
+            return;
+        }
+        writeQueueEvent(res, event);
+    };
+    const keepalive = setInterval(() => {
+        res.write(': keepalive\n\n');
+    }, QUEUE_EVENT_KEEPALIVE_INTERVAL);
+    const unsubscribe = () => {
+        clearInterval(keepalive);
+        queueEventSubscribers.delete(subscriber);
+    };
+
+    queueEventSubscribers.add(subscriber);
+    res.on('close', unsubscribe);
+});
+
+/**
+ * Looks up the job named by the :id route parameter. Sends a 400 or 404
+ * response and returns null when there is no such job.
+ */
+function findJobForRequest(req, res) {
+    const jobId = parseInt(req.params.id);
+    if (isNaN(jobId)) {
+        res.status(400).json({
+            success: false,
+            error: 'Invalid job ID'
+        });
+        return null;
+    }
+
+    const job = db.prepare('SELECT * FROM jobs WHERE id = ?').get(jobId);
+
+    // Jobs of other API keys are reported as missing rather than forbidden
+    if (!job || !canAccessJob(req, job)) {
+        res.status(404).json({
+            success: false,
+            error: 'Job not found'
+        });
+        return null;
+    }
+
+    return job;
+}
+
+/**
+ * Streams the output file of a finished job. When expectedFormat is given,
+ * outputs of any other format are reported as missing.
+ */
+function sendJobOutput(res, job, expectedFormat) {
+    if (job.state === 'Waiting' || job.state === 'Running') {
+        return res.status(409).json({
+            success: false,
+            error: 'Job has not finished yet',
+            state: job.state
+        });
+    }
+
+    if (!job.outputPath) {
+        return res.status(404).json({
+            success: false,
+            error: job.state === 'Cancelled' ? 'Job was cancelled, no output was produced' : 'Job failed, no output was produced'
+        });
+    }
+
+    if (expectedFormat && job.outputFormat !== expectedFormat) {
+        return res.status(404).json({
+            success: false,
+            error: `Job produced ${job.outputFormat} output, not ${expectedFormat}`,
+            outputFormat: job.outputFormat
+        });
+    }
+
+    if (!fs.existsSync(job.outputPath)) {
+        return res.status(404).json({
+            success: false,
+            error: 'Output file is no longer available'
+        });
+    }
+
+    const format = OUTPUT_FORMATS[job.outputFormat];
+    res.type(format.contentType);
+    res.setHeader('Content-Disposition', `inline; filename="job-${job.id}.${format.extension}"`);
+    res.sendFile(job.outputPath);
+}
+
+/**
+ * GET /job/:id
+ * Returns details of a specific job including error information
+ */
+app.get('/job/:id', requireScope('read'), (req, res) => {
+    try {
+        const job = findJobForRequest(req, res);
+        if (!job) {
+            return;
+        }
+        
+        res.json({
+            success: true,
+            job: { ...formatJob(job), queuePosition: getQueuePositions().get(job.id) || null }
+        });
+    } catch (error) {
+        console.error('Error fetching job:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch job',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * POST /job/:id/cancel
+ * Cancels a Waiting job, or aborts a Running one
+ */
+app.post('/job/:id/cancel', requireScope('submit'), (req, res) => {
+    try {
+        const job = findJobForRequest(req, res);
+        if (!job) {
+            return;
+        }
+
+        if (!cancelJob(job.id)) {
+            return res.status(409).json({
+                success: false,
+                error: 'Job has already finished',
+                state: job.state
+            });
+        }
+
+        res.json({
+            success: true,
+            message: job.state === 'Running' ? 'Running job aborted' : 'Job cancelled',
+            job: formatJob(db.prepare('SELECT * FROM jobs WHERE id = ?').get(job.id))
+        });
+    } catch (error) {
+        console.error('Error cancelling job:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to cancel job',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * POST /job/:id/retry
+ * Puts a failed or cancelled job back in the queue
+ */
+app.post('/job/:id/retry', requireScope('submit'), (req, res) => {
+    try {
+        const job = findJobForRequest(req, res);
+        if (!job) {
+            return;
+        }
+
+        if (!retryJob(job.id)) {
+            return res.status(409).json({
+                success: false,
+                error: 'Only failed or cancelled jobs can be retried',
+                state: job.state
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Job requeued',
+            job: formatJob(db.prepare('SELECT * FROM jobs WHERE id = ?').get(job.id))
+        });
+    } catch (error) {
+        console.error('Error retrying job:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retry job',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * POST /job/:id/duplicate
+ * Submits a new job with the URL or document, options (secrets included),
+ * priority, template data and keep flag of an existing one
+ */
+app.post('/job/:id/duplicate', requireScope('submit'), enforceSubmissionLimits, async (req, res) => {
+    try {
+        const job = findJobForRequest(req, res);
+        if (!job) {
+            return;
+        }
+
+        // The URL policy may have changed since the job was submitted
+        const violation = job.sourcePath ? null : await checkUrlPolicy(job.url);
+        if (violation) {
+            return res.status(400).json({
+                success: false,
+                error: `URL is not allowed: ${violation}`
+            });
+        }
+        const callback = parseJobOptions(job).callback;
+        const callbackViolation = callback ? await checkUrlPolicy(callback.url) : null;
+        if (callbackViolation) {
+            return res.status(400).json({
+                success: false,
+                error: `callbackUrl is not allowed: ${callbackViolation}`
+            });
+        }
+
+        const { jobId, url } = enqueueJob({
+            copyOf: job,
+            options: parseJobOptions(job),
+            priority: job.priority,
+            template: job.templateId === null ? null : {
+                id: job.templateId,
+                version: job.templateVersion,
+                data: JSON.parse(job.templateData)
+            },
+            apiKeyId: req.apiKey && req.apiKey.id,
+            keep: Boolean(job.keep)
+        });
+        countJobAgainstQuota(req.apiKey);
+
+        res.json({
+            success: true,
+            jobId: jobId,
+            message: 'Job added to queue',
+            url: url,
+            duplicateOf: job.id
+        });
+    } catch (error) {
+        console.error('Error duplicating job:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to duplicate job',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /job/:id
+ * Deletes a job with its history and files, aborting it first if it is running
+ */
+app.delete('/job/:id', requireScope('submit'), async (req, res) => {
+    try {
+        const job = findJobForRequest(req, res);
+        if (!job) {
+            return;
+        }
+
+        // A job running in this process is only deleted once its worker has
+        // stopped, or it would write its files and records after them
+        cancelJob(job.id);
+        const slot = workerSlots.find(candidate => candidate.jobId === job.id);
+        if (slot) {
+            await slot.running.catch(() => {});
+        }
+        deleteJob(job);
+
+        res.json({
+            success: true,
+            message: 'Job deleted',
+            jobId: job.id
+        });
+    } catch (error) {
+        console.error('Error deleting job:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete job',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * GET /job/:id/output
+ * Streams the rendered output (PDF or image) of a finished job with its content type
+ */
+app.get('/job/:id/output', requireScope('read'), (req, res) => {
+    try {
+        const job = findJobForRequest(req, res);
+        if (!job) {
+            return;
+        }
+
+        sendJobOutput(res, job);
+    } catch (error) {
+        console.error('Error fetching job output:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch job output',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * GET /job/:id/pdf
+ * Streams the rendered PDF of a finished job
+ */
+app.get('/job/:id/pdf', requireScope('read'), (req, res) => {
+    try {
+        const job = findJobForRequest(req, res);
+        if (!job) {
+            return;
+        }
+
+        sendJobOutput(res, job, 'pdf');
+    } catch (error) {
+        console.error('Error fetching job PDF:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch job PDF',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Converts an artifacts row into its API representation
+ */
+function formatArtifact(artifact) {
+    return {
+        name: artifact.name,
+        kind: artifact.kind,
+        size: artifact.size,
+        mimeType: artifact.mimeType,
+        sha256: artifact.sha256,
+        createdAt: artifact.createdAt,
+        url: `/job/${artifact.jobId}/artifacts/${encodeURIComponent(artifact.name)}`
+    };
+}
+
+/**
+ * GET /job/:id/artifacts
+ * Lists the files a job produced: its rendered output and any downloads
+ */
+app.get('/job/:id/artifacts', requireScope('read'), (req, res) => {
+    try {
+        const job = findJobForRequest(req, res);
+        if (!job) {
+            return;
+        }
+
+        const artifacts = db.prepare('SELECT * FROM artifacts WHERE jobId = ? ORDER BY id ASC').all(job.id);
+        res.json({
+            success: true,
+            jobId: job.id,
+            state: job.state,
+            artifacts: artifacts.map(formatArtifact)
+        });
+    } catch (error) {
+        console.error('Error fetching job artifacts:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch job artifacts',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * GET /job/:id/artifacts/:name
+ * Streams a single artifact of a job
+ */
+app.get('/job/:id/artifacts/:name', requireScope('read'), (req, res) => {
+    try {
+        const job = findJobForRequest(req, res);
+        if (!job) {
+            return;
+        }
+
+        const artifact = db.prepare('SELECT * FROM artifacts WHERE jobId = ? AND name = ?')
+            .get(job.id, req.params.name);
+
+        if (!artifact) {
+            return res.status(404).json({
+                success: false,
+                error: 'Artifact not found'
+            });
+        }
+
+        if (!fs.existsSync(artifact.path)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Artifact file is no longer available'
+            });
+        }
+
+        res.type(artifact.mimeType);
+        res.setHeader('X-Content-SHA256', artifact.sha256);
+        if (artifact.kind === 'output') {
+            res.setHeader('Content-Disposition', `inline; filename="${artifact.name}"`);
+        } else {
+            res.attachment(artifact.name);
+        }
+        res.sendFile(artifact.path);
+    } catch (error) {
+        console.error('Error fetching job artifact:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch job artifact',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * GET /job/:id/attempts
+ * Returns the history of every attempt to run a job
+ */
+app.get('/job/:id/attempts', requireScope('read'), (req, res) => {
+    try {
+        const job = findJobForRequest(req, res);
+        if (!job) {
+            return;
+        }
+
+        const attempts = db.prepare('SELECT * FROM job_attempts WHERE jobId = ? ORDER BY attempt ASC').all(job.id);
+        res.json({
+            success: true,
+            jobId: job.id,
+            attempts: attempts.map(formatAttempt)
+        });
+    } catch (error) {
+        console.error('Error fetching job attempts:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch job attempts',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * GET /job/:id/logs
+ * Returns the console output, page errors and failed requests stored for a job.
+ * Query: level (minimum level), source, attempt. Sent as NDJSON, one event per
+ * line, with ?format=ndjson or an Accept: application/x-ndjson header.
+ */
+app.get('/job/:id/logs', requireScope('read'), (req, res) => {
+    try {
+        const job = findJobForRequest(req, res);
+        if (!job) {
+            return;
+        }
+
+        const conditions = ['jobId = ?'];
+        const params = [job.id];
+        if (req.query.level !== undefined) {
+            const minLevel = JOB_EVENT_LEVELS.indexOf(req.query.level);
+            if (minLevel === -1) {
+                return res.status(400).json({
+                    success: false,
+                    error: `level must be one of: ${JOB_EVENT_LEVELS.join(', ')}`
+                });
+            }
+            const levels = JOB_EVENT_LEVELS.slice(minLevel);
+            conditions.push(`level IN (${levels.map(() => '?').join(', ')})`);
+            params.push(...levels);
+        }
+        if (req.query.source !== undefined) {
+            conditions.push('source = ?');
+            params.push(String(req.query.source));
+        }
+        if (req.query.attempt !== undefined) {
+            const attempt = parseInt(req.query.attempt);
+            if (isNaN(attempt)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'attempt must be a number'
+                });
+            }
+            conditions.push('attempt = ?');
+            params.push(attempt);
+        }
+
+        const query = db.prepare(`SELECT * FROM job_events WHERE ${conditions.join(' AND ')} ORDER BY id ASC`);
+        const formatEvent = ({ jobId, details, ...event }) => ({ ...event, details: details ? JSON.parse(details) : null });
+
+        if (req.query.format === 'ndjson' || (req.query.format === undefined && req.accepts(['json', 'application/x-ndjson']) === 'application/x-ndjson')) {
+            res.type('application/x-ndjson');
+            for (const event of query.iterate(...params)) {
+                res.write(JSON.stringify(formatEvent(event)) + '\n');
+            }
+            return res.end();
+        }
+
+        res.json({
+            success: true,
+            jobId: job.id,
+            events: query.all(...params).map(formatEvent)
+        });
+    } catch (error) {
+        console.error('Error fetching job logs:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch job logs',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * GET /job/:id/deliveries
+ * Returns every attempt to deliver the job's webhook callback
+ */
+app.get('/job/:id/deliveries', requireScope('read'), (req, res) => {
+    try {
+        const job = findJobForRequest(req, res);
+        if (!job) {
+            return;
+        }
+
+        const deliveries = db.prepare('SELECT * FROM webhook_deliveries WHERE jobId = ? ORDER BY id ASC').all(job.id);
+        res.json({
+            success: true,
+            jobId: job.id,
+            deliveries: deliveries.map(({ jobId, batchId, headers, payload, ...delivery }) => delivery)
+        });
+    } catch (error) {
+        console.error('Error fetching job deliveries:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch job deliveries',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Adds the jobs of a batch to the queue together with the batch, so that a
+ * batch is never left with only some of its jobs. Their source directories
+ * are created first and removed again if the batch cannot be inserted; the
+ * jobs are announced once it has been. Returns the batch's ID and the IDs of
+ * its jobs in the order they were submitted.
+ */
+function createBatch(batch, apiKeyId) {
+    const sources = [];
+    let created;
+    try {
+        for (const { jobRequest } of batch.jobs) {
+            sources.push(createJobSource(jobRequest));
+        }
+        created = insertBatch(batch, sources, apiKeyId);
+    } catch (error) {
+        removeJobSources(sources);
+        throw error;
+    }
+    created.jobIds.forEach((jobId, index) => announceJob(jobId, sources[index]));
+    return created;
+}
+
+const insertBatch = db.transaction((batch, sources, apiKeyId) => {
+    const result = db.prepare(`
+        INSERT INTO batches (name, jobCount, callback, apiKeyId, createdAt)
+        VALUES (?, ?, ?, ?, ?)
+    `).run(batch.name, batch.jobs.length, batch.callback ? JSON.stringify(batch.callback) : null, apiKeyId || null,
+        new Date().toISOString());
+    const batchId = result.lastInsertRowid;
+
+    const jobIds = batch.jobs.map(({ jobRequest, fileName }, index) => insertJob(sources[index], {
+        ...jobRequest,
+        batch: { id: batchId, index: index, fileName: fileName },
+        apiKeyId: apiKeyId
+    }));
+    return { batchId: batchId, jobIds: jobIds };
+});
+
+/**
+ * Looks up the batch named by the :id route parameter. Sends a 400 or 404
+ * response and returns null when there is no such batch, or when it belongs
+ * to another API key.
+ */
+function findBatchForRequest(req, res) {
+    const batchId = parseInt(req.params.id);
+    if (isNaN(batchId)) {
+        res.status(400).json({
+            success: false,
+            error: 'Invalid batch ID'
+        });
+        return null;
+    }
+
+    const batch = db.prepare('SELECT * FROM batches WHERE id = ?').get(batchId);
+    if (!batch || !canAccessJob(req, batch)) {
+        res.status(404).json({
+            success: false,
+            error: 'Batch not found'
+        });
+        return null;
+    }
+    return batch;
+}
+
+function getBatchJobs(batchId) {
+    return db.prepare('SELECT * FROM jobs WHERE batchId = ? ORDER BY batchIndex ASC').all(batchId);
+}
+
+/**
+ * POST /batches
+ * Adds many jobs to the queue at once. Every job's own fields win over the
+ * shared defaults. The batch's callback is sent once every job has finished.
+ *
+ * Request body: { "name": "Statements", "defaults": { "pdf": { "format": "a4" } }, "jobs": [{ "url": "http://example.com/1", "name": "statement-1" }] }
+ * Response: { "success": true, "batchId": 7, "jobIds": [101], "message": "Batch added to queue" }
+ */
+app.post('/batches', requireScope('submit'), enforceSubmissionLimits, async (req, res) => {
+    let batch;
+    try {
+        batch = parseBatchRequest(req.body);
+
+        // Hosts that resolve to private networks can only be told apart after resolving them
+        const violations = await Promise.all(batch.jobs.map(({ jobRequest }) =>
+            jobRequest.url ? checkUrlPolicy(jobRequest.url) : null));
+        const index = violations.findIndex(Boolean);
+        if (index !== -1) {
+            throw new ValidationError(`jobs[${index}]: URL is not allowed: ${violations[index]}`);
+        }
+        await checkCallbackPolicy(batch.callback);
+        const callbackViolations = await Promise.all(batch.jobs.map(({ jobRequest }) =>
+            jobRequest.options.callback ? checkUrlPolicy(jobRequest.options.callback.url) : null));
+        const callbackIndex = callbackViolations.findIndex(Boolean);
+        if (callbackIndex !== -1) {
+            throw new ValidationError(`jobs[${callbackIndex}]: callbackUrl is not allowed: ${callbackViolations[callbackIndex]}`);
+        }
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+        throw error;
+    }
+
+    // The rate limit counts the batch as one submission, the daily quota counts each of its jobs
+    const apiKey = req.apiKey;
+    if (apiKey && apiKey.id !== null && apiKey.dailyJobQuota !== null) {
+        const quotaLeft = apiKey.dailyJobQuota - (apiKey.quotaDay === getQuotaDay() ? apiKey.quotaUsed : 0);
+        if (batch.jobs.length > quotaLeft) {
+            return res.status(429).json({
+                success: false,
+                error: `Batch of ${batch.jobs.length} jobs exceeds the ${quotaLeft} jobs left of the daily quota of ${apiKey.dailyJobQuota}`
+            });
+        }
+    }
+
+    try {
+        const { batchId, jobIds } = createBatch(batch, apiKey && apiKey.id);
+        countJobAgainstQuota(apiKey, jobIds.length);
+        console.log(`[Batch] Batch ${batchId} added to queue with ${jobIds.length} job(s)`);
+
+        res.json({
+            success: true,
+            batchId: batchId,
+            jobIds: jobIds,
+            message: 'Batch added to queue',
+            statusUrl: `/batches/${batchId}`,
+            downloadUrl: `/batches/${batchId}/download`
+        });
+    } catch (error) {
+        console.error('Error adding batch to queue:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to add batch to queue',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * GET /batches/:id
+ * Returns the progress of a batch and the status of each of its jobs
+ */
+app.get('/batches/:id', requireScope('read'), (req, res) => {
+    try {
+        const batch = findBatchForRequest(req, res);
+        if (!batch) {
+            return;
+        }
+
+        const jobs = getBatchJobs(batch.id);
+        res.json({
+            success: true,
+            batch: formatBatch(batch, jobs),
+            items: jobs.map(formatBatchItem)
+        });
+    } catch (error) {
+        console.error('Error fetching batch:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch batch',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * GET /batches/:id/download
+ * Streams a zip of the outputs of every succeeded job of a batch, with a
+ * manifest.json listing the files and the jobs that failed. Answers 409
+ * while jobs are still waiting or running, unless partial=true.
+ */
+app.get('/batches/:id/download', requireScope('read'), (req, res) => {
+    try {
+        const batch = findBatchForRequest(req, res);
+        if (!batch) {
+            return;
+        }
+        if (req.query.partial !== undefined && req.query.partial !== 'true' && req.query.partial !== 'false') {
+            return res.status(400).json({
+                success: false,
+                error: 'partial must be true or false'
+            });
+        }
+
+        const jobs = getBatchJobs(batch.id);
+        const formattedBatch = formatBatch(batch, jobs);
+        if (!batch.finishedAt && req.query.partial !== 'true') {
+            return res.status(409).json({
+                success: false,
+                error: 'Batch has not finished yet, add ?partial=true to download the outputs so far',
+                counts: formattedBatch.counts
+            });
+        }
+
+        const manifest = {
+            batchId: batch.id,
+            name: batch.name,
+            createdAt: batch.createdAt,
+            finishedAt: batch.finishedAt,
+            counts: formattedBatch.counts,
+            files: [],
+            failures: [],
+            pending: []
+        };
+        const files = [];
+        const takenNames = new Set(['manifest.json']);
+        for (const job of jobs) {
+            const item = { index: job.batchIndex, jobId: job.id, url: job.url };
+            if (job.state === 'Waiting' || job.state === 'Running') {
+                manifest.pending.push({ ...item, state: job.state });
+            } else if (job.outputPath && fs.existsSync(job.outputPath)) {
+                const name = uniqueFileName(job.batchFileName || `job-${job.id}.${OUTPUT_FORMATS[job.outputFormat].extension}`, takenNames);
+                takenNames.add(name);
+                files.push({ path: job.outputPath, name: name });
+                manifest.files.push({ ...item, file: name, size: job.outputSize });
+            } else {
+                manifest.failures.push({
+                    ...item,
+                    state: job.state,
+                    errorCode: job.errorCode,
+                    error: job.success === 1 ? 'Output file is no longer available' : summarizeJobError(job)
+                });
+            }
+        }
+
+        // PDFs and images are compressed already, so the zip only stores them
+        const archive = archiver('zip', { store: true });
+        archive.on('error', error => {
+            console.error(`[Batch] Error zipping the outputs of batch ${batch.id}:`, error);
+            res.destroy(error);
+        });
+        res.on('close', () => {
+            if (!res.writableFinished) {
+                archive.abort();
+            }
+        });
+
+        res.type('application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="batch-${batch.id}.zip"`);
+        archive.pipe(res);
+        for (const file of files) {
+            archive.file(file.path, { name: file.name });
+        }
+        archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+        archive.finalize();
+    } catch (error) {
+        console.error('Error downloading batch:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to download batch',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * GET /batches/:id/deliveries
+ * Returns every attempt to deliver a batch's webhook callback
+ */
+app.get('/batches/:id/deliveries', requireScope('read'), (req, res) => {
+    try {
+        const batch = findBatchForRequest(req, res);
+        if (!batch) {
+            return;
+        }
+
+        const deliveries = db.prepare('SELECT * FROM webhook_deliveries WHERE batchId = ? ORDER BY id ASC').all(batch.id);
+        res.json({
+            success: true,
+            batchId: batch.id,
+            deliveries: deliveries.map(({ jobId, batchId, headers, payload, ...delivery }) => delivery)
+        });
+    } catch (error) {
+        console.error('Error fetching batch deliveries:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch batch deliveries',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Looks up the schedule named by the :id route parameter. Sends a 400 or 404
+ * response and returns null when there is no such schedule.
+ */
+function findScheduleForRequest(req, res) {
+    const scheduleId = parseInt(req.params.id);
+    if (isNaN(scheduleId)) {
+        res.status(400).json({
+            success: false,
+            error: 'Invalid schedule ID'
+        });
+        return null;
+    }
+
+    const schedule = db.prepare('SELECT * FROM schedules WHERE id = ?').get(scheduleId);
+    if (!schedule) {
+        res.status(404).json({
+            success: false,
+            error: 'Schedule not found'
+        });
+        return null;
+    }
+    return schedule;
+}
+
+/**
+ * GET /schedules
+ * Lists every schedule (admin only, schedules hold the job payloads of whoever created them)
+ */
+app.get('/schedules', requireScope('admin'), (req, res) => {
+    try {
+        const schedules = db.prepare('SELECT * FROM schedules ORDER BY id ASC').all();
+        res.json({
+            success: true,
+            schedules: schedules.map(formatSchedule)
+        });
+    } catch (error) {
+        console.error('Error fetching schedules:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch schedules',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * POST /schedules
+ * Creates a schedule that enqueues a job built from its job template every time its cron expression fires
+ *
+ * Request body: { "cron": "0 2 * * *", "timezone": "Europe/Berlin", "job": { "url": "http://example.com" } }
+ */
+app.post('/schedules', requireScope('admin'), (req, res) => {
+    let schedule;
+    try {
+        schedule = parseScheduleRequest(req.body);
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+        throw error;
+    }
+
+    try {
+        const now = new Date();
+        const nextRunAt = schedule.enabled ? getNextCronRun(schedule.cron, schedule.timezone, now) : null;
+        const result = db.prepare(`
+            INSERT INTO schedules (name, cron, timezone, missedRunPolicy, enabled, job, nextRunAt, createdAt, updatedAt)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(schedule.name, schedule.cron, schedule.timezone, schedule.missedRunPolicy, schedule.enabled ? 1 : 0,
+            JSON.stringify(schedule.job), nextRunAt, now.toISOString(), now.toISOString());
+
+        console.log(`[Schedule] Schedule ${result.lastInsertRowid} created (${schedule.cron} ${schedule.timezone}), next run at ${nextRunAt}`);
+        res.json({
+            success: true,
+            schedule: formatSchedule(db.prepare('SELECT * FROM schedules WHERE id = ?').get(result.lastInsertRowid))
+        });
+    } catch (error) {
+        console.error('Error creating schedule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create schedule',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * GET /schedules/:id
+ * Returns a single schedule (admin only)
+ */
+app.get('/schedules/:id', requireScope('admin'), (req, res) => {
+    try {
+        const schedule = findScheduleForRequest(req, res);
+        if (!schedule) {
+            return;
+        }
+
+        res.json({
+            success: true,
+            schedule: formatSchedule(schedule)
+        });
+    } catch (error) {
+        console.error('Error fetching schedule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch schedule',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * PATCH /schedules/:id
+ * Changes some fields of a schedule. Changing its cron expression or time
+ * zone, or enabling it, computes its next run from now.
+ */
+app.patch('/schedules/:id', requireScope('admin'), (req, res) => {
+    try {
+        const existing = findScheduleForRequest(req, res);
+        if (!existing) {
+            return;
+        }
+
+        let schedule;
+        try {
+            schedule = parseScheduleRequest(req.body, { ...existing, job: JSON.parse(existing.job) });
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            throw error;
+        }
+
+        const now = new Date();
+        let nextRunAt = existing.nextRunAt;
+        if (!schedule.enabled) {
+            nextRunAt = null;
+        } else if (!existing.enabled || schedule.cron !== existing.cron || schedule.timezone !== existing.timezone) {
+            nextRunAt = getNextCronRun(schedule.cron, schedule.timezone, now);
+        }
+
+        db.prepare(`
+            UPDATE schedules SET name = ?, cron = ?, timezone = ?, missedRunPolicy = ?, enabled = ?, job = ?, nextRunAt = ?, updatedAt = ?
+            WHERE id = ?
+        `).run(schedule.name, schedule.cron, schedule.timezone, schedule.missedRunPolicy, schedule.enabled ? 1 : 0,
+            JSON.stringify(schedule.job), nextRunAt, now.toISOString(), existing.id);
+
+        res.json({
+            success: true,
+            schedule: formatSchedule(db.prepare('SELECT * FROM schedules WHERE id = ?').get(existing.id))
+        });
+    } catch (error) {
+        console.error('Error updating schedule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update schedule',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /schedules/:id
+ * Deletes a schedule. Jobs it already enqueued are kept and keep their scheduleId.
+ */
+app.delete('/schedules/:id', requireScope('admin'), (req, res) => {
+    try {
+        const schedule = findScheduleForRequest(req, res);
+        if (!schedule) {
+            return;
+        }
+
+        db.prepare('DELETE FROM schedules WHERE id = ?').run(schedule.id);
+        console.log(`[Schedule] Schedule ${schedule.id} deleted`);
+
+        res.json({
+            success: true,
+            message: 'Schedule deleted',
+            scheduleId: schedule.id
+        });
+    } catch (error) {
+        console.error('Error deleting schedule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete schedule',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * GET /schedules/:id/jobs
+ * Lists the jobs a schedule has enqueued, newest first
+ */
+app.get('/schedules/:id/jobs', requireScope('read'), (req, res) => {
+    try {
+        const schedule = findScheduleForRequest(req, res);
+        if (!schedule) {
+            return;
+        }
+
+        const jobs = db.prepare('SELECT * FROM jobs WHERE scheduleId = ? ORDER BY id DESC').all(schedule.id)
+            .filter(job => canAccessJob(req, job));
+        res.json({
+            success: true,
+            scheduleId: schedule.id,
+            jobs: jobs.map(formatJob)
+        });
+    } catch (error) {
+        console.error('Error fetching schedule jobs:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch schedule jobs',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Looks up the template named by the :id route parameter. Sends a 400 or 404
+ * response and returns null when there is no such template.
+ */
+function findTemplateForRequest(req, res) {
+    const templateId = parseInt(req.params.id);
+    if (isNaN(templateId)) {
+        res.status(400).json({
+            success: false,
+            error: 'Invalid template ID'
+        });
+        return null;
+    }
+
+    const template = db.prepare('SELECT * FROM templates WHERE id = ?').get(templateId);
+    if (!template) {
+        res.status(404).json({
+            success: false,
+            error: 'Template not found'
+        });
+        return null;
+    }
+    return template;
+}
+
+/**
+ * Adds a version to a template and makes it the latest one
+ */
+const addTemplateVersion = db.transaction((templateId, version, { html, options }) => {
+    const createdAt = new Date().toISOString();
+    db.prepare('INSERT INTO template_versions (templateId, version, html, options, createdAt) VALUES (?, ?, ?, ?, ?)')
+        .run(templateId, version, html, JSON.stringify(options), createdAt);
+    db.prepare('UPDATE templates SET latestVersion = ?, updatedAt = ? WHERE id = ?').run(version, createdAt, templateId);
+});
+
+const createTemplate = db.transaction((name, description, version) => {
+    const now = new Date().toISOString();
+    const result = db.prepare('INSERT INTO templates (name, description, latestVersion, createdAt, updatedAt) VALUES (?, ?, ?, ?, ?)')
+        .run(name, description, 1, now, now);
+    addTemplateVersion(result.lastInsertRowid, 1, version);
+    return result.lastInsertRowid;
+});
+
+const deleteTemplate = db.transaction(templateId => {
+    db.prepare('DELETE FROM template_versions WHERE templateId = ?').run(templateId);
+    db.prepare('DELETE FROM templates WHERE id = ?').run(templateId);
+});
+
+function getTemplateDetails(template) {
+    const versions = db.prepare('SELECT version, createdAt FROM template_versions WHERE templateId = ? ORDER BY version ASC').all(template.id);
+    const latest = db.prepare('SELECT * FROM template_versions WHERE templateId = ? AND version = ?').get(template.id, template.latestVersion);
+    return {
+        ...template,
+        latest: formatTemplateVersion(latest),
+        versions: versions
+    };
+}
+
+/**
+ * GET /templates
+ * Lists every template with its latest version number (admin only)
+ */
+app.get('/templates', requireScope('admin'), (req, res) => {
+    try {
+        const templates = db.prepare('SELECT * FROM templates ORDER BY id ASC').all();
+        res.json({
+            success: true,
+            templates: templates
+        });
+    } catch (error) {
+        console.error('Error fetching templates:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch templates',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * POST /templates
+ * Creates a template with its first version
+ *
+ * Request body: { "name": "Invoice", "html": "<h1>Invoice {{number}}</h1>", "options": { "pdf": { "format": "a4" } } }
+ */
+app.post('/templates', requireScope('admin'), (req, res) => {
+    let name;
+    let description;
+    let version;
+    try {
+        if (!isPlainObject(req.body)) {
+            throw new ValidationError('Request body must be a JSON object');
+        }
+        ({ name, description } = req.body);
+        if (typeof name !== 'string' || !name.trim() || name.length > 200) {
+            throw new ValidationError('name must be a non-empty string of at most 200 characters');
+        }
+        if (description !== undefined && description !== null && typeof description !== 'string') {
+            throw new ValidationError('description must be a string');
+        }
+        version = parseTemplateVersion(req.body);
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+        throw error;
+    }
+
+    try {
+        const templateId = createTemplate(name.trim(), description || null, version);
+        console.log(`[Template] Template ${templateId} created: ${name}`);
+        res.json({
+            success: true,
+            template: getTemplateDetails(db.prepare('SELECT * FROM templates WHERE id = ?').get(templateId))
+        });
+    } catch (error) {
+        console.error('Error creating template:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create template',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * GET /templates/:id
+ * Returns a template with its latest version and the list of all versions (admin only)
+ */
+app.get('/templates/:id', requireScope('admin'), (req, res) => {
+    try {
+        const template = findTemplateForRequest(req, res);
+        if (!template) {
+            return;
+        }
+
+        res.json({
+            success: true,
+            template: getTemplateDetails(template)
+        });
+    } catch (error) {
+        console.error('Error fetching template:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch template',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * POST /templates/:id/versions
+ * Adds a new version of a template's HTML and default settings. Earlier
+ * versions are kept unchanged.
+ */
+app.post('/templates/:id/versions', requireScope('admin'), (req, res) => {
+    try {
+        const template = findTemplateForRequest(req, res);
+        if (!template) {
+            return;
+        }
+
+        let version;
+        try {
+            if (!isPlainObject(req.body)) {
+                throw new ValidationError('Request body must be a JSON object');
+            }
+            version = parseTemplateVersion(req.body);
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            throw error;
+        }
+
+        addTemplateVersion(template.id, template.latestVersion + 1, version);
+        console.log(`[Template] Template ${template.id} version ${template.latestVersion + 1} created`);
+        res.json({
+            success: true,
+            template: getTemplateDetails(db.prepare('SELECT * FROM templates WHERE id = ?').get(template.id))
+        });
+    } catch (error) {
+        console.error('Error creating template version:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create template version',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * GET /templates/:id/versions/:version
+ * Returns one version of a template (admin only)
+ */
+app.get('/templates/:id/versions/:version', requireScope('admin'), (req, res) => {
+    try {
+        const template = findTemplateForRequest(req, res);
+        if (!template) {
+            return;
+        }
+
+        const version = db.prepare('SELECT * FROM template_versions WHERE templateId = ? AND version = ?')
+            .get(template.id, parseInt(req.params.version));
+        if (!version) {
+            return res.status(404).json({
+                success: false,
+                error: 'Template version not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            version: formatTemplateVersion(version)
+        });
+    } catch (error) {
+        console.error('Error fetching template version:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch template version',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /templates/:id
+ * Deletes a template with all its versions. Jobs rendered from it are kept.
+ */
+app.delete('/templates/:id', requireScope('admin'), (req, res) => {
+    try {
+        const template = findTemplateForRequest(req, res);
+        if (!template) {
+            return;
+        }
+
+        deleteTemplate(template.id);
+        console.log(`[Template] Template ${template.id} deleted`);
+
+        res.json({
+            success: true,
+            message: 'Template deleted',
+            templateId: template.id
+        });
+    } catch (error) {
+        console.error('Error deleting template:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete template',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * POST /templates/:id/render
+ * Merges data into a template version and queues the result as an html job.
+ * Other /runPdf fields in the body replace the version's default settings.
+ *
+ * Request body: { "data": { "number": 42 }, "version": 3, "output": "pdf" }
+ */
+app.post('/templates/:id/render', requireScope('submit'), enforceSubmissionLimits, async (req, res) => {
+    try {
+        const template = findTemplateForRequest(req, res);
+        if (!template) {
+            return;
+        }
+
+        let jobRequest;
+        let templateVersion;
+        let data;
+        try {
+            if (!isPlainObject(req.body)) {
+                throw new ValidationError('Request body must be a JSON object');
+            }
+            const { data: requestData, version, ...overrides } = req.body;
+            data = requestData === undefined ? {} : requestData;
+            if (!isPlainObject(data)) {
+                throw new ValidationError('data must be an object');
+            }
+            if (overrides.url !== undefined || overrides.html !== undefined) {
+                throw new ValidationError('url and html cannot be sent when rendering a template');
+            }
+
+            const versionNumber = version === undefined ? template.latestVersion : version;
+            templateVersion = db.prepare('SELECT * FROM template_versions WHERE templateId = ? AND version = ?')
+                .get(template.id, versionNumber);
+            if (!templateVersion) {
+                throw new ValidationError(`Template ${template.id} has no version ${versionNumber}`);
+            }
+
+            const html = Mustache.render(templateVersion.html, data);
+            jobRequest = parseJobRequest({ ...JSON.parse(templateVersion.options), ...overrides, html: html });
+            await checkCallbackPolicy(jobRequest.options.callback);
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+            throw error;
+        }
+
+        const { jobId, url } = enqueueJob({
+            ...jobRequest,
+            template: { id: template.id, version: templateVersion.version, data: data },
+            apiKeyId: req.apiKey && req.apiKey.id
+        });
+        countJobAgainstQuota(req.apiKey);
+
+        res.json({
+            success: true,
+            jobId: jobId,
+            message: 'Job added to queue',
+            url: url,
+            templateId: template.id,
+            templateVersion: templateVersion.version
+        });
+    } catch (error) {
+        console.error('Error rendering template:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to render template',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Converts an api_keys row into its API representation, without the key hash
+ */
+function formatApiKey(apiKey) {
+    const { keyHash, scopes, rateLimitPerMinute, rateLimitBurst, quotaDay, quotaUsed, ...rest } = apiKey;
+    return {
+        ...rest,
+        scopes: JSON.parse(scopes),
+        rateLimit: { perMinute: rateLimitPerMinute, burst: rateLimitBurst },
+        jobsToday: quotaDay === getQuotaDay() ? quotaUsed : 0
+    };
+}
+
+/**
+ * Validates a POST /api-keys body
+ */
+function parseApiKeyRequest(body) {
+    if (!isPlainObject(body)) {
+        throw new ValidationError('Request body must be a JSON object');
+    }
+    if (typeof body.name !== 'string' || !body.name.trim() || body.name.length > 200) {
+        throw new ValidationError('name must be a non-empty string of at most 200 characters');
+    }
+    if (!Array.isArray(body.scopes) || body.scopes.length === 0 || body.scopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+        throw new ValidationError(`scopes must be a non-empty array of: ${API_KEY_SCOPES.join(', ')}`);
+    }
+
+    const parseLimit = (value, name) => {
+        if (value === undefined || value === null) {
+            return null;
+        }
+        if (!Number.isInteger(value) || value < 1) {
+            throw new ValidationError(`${name} must be a whole number of at least 1`);
+        }
+        return value;
+    };
+    const rateLimit = body.rateLimit === undefined ? {} : body.rateLimit;
+    if (!isPlainObject(rateLimit)) {
+        throw new ValidationError('rateLimit must be an object');
+    }
+
+    return {
+        name: body.name.trim(),
+        scopes: [...new Set(body.scopes)],
+        maxConcurrentJobs: parseLimit(body.maxConcurrentJobs, 'maxConcurrentJobs'),
+        dailyJobQuota: parseLimit(body.dailyJobQuota, 'dailyJobQuota'),
+        rateLimitPerMinute: parseLimit(rateLimit.perMinute, 'rateLimit.perMinute') || DEFAULT_RATE_LIMIT.perMinute,
+        rateLimitBurst: parseLimit(rateLimit.burst, 'rateLimit.burst') || DEFAULT_RATE_LIMIT.burst
+    };
+}
+
+/**
+ * GET /api-keys
+ * Lists every API key, including revoked ones
+ */
+app.get('/api-keys', requireScope('admin'), (req, res) => {
+    try {
+        const apiKeys = db.prepare('SELECT * FROM api_keys ORDER BY id ASC').all();
+        res.json({
+            success: true,
+            apiKeys: apiKeys.map(formatApiKey)
+        });
+    } catch (error) {
+        console.error('Error fetching API keys:', error);
+        res.status(500).json({
             success: false,
-            error: 'URL parameter is required'
+            error: 'Failed to fetch API keys',
+            details: error.message
         });
     }
+});
 
-    // Validate URL format
+/**
+ * POST /api-keys
+ * Creates an API key. The key is only ever returned in this response.
+ *
+ * Request body: { "name": "Billing service", "scopes": ["submit", "read"], "dailyJobQuota": 1000 }
+ */
+app.post('/api-keys', requireScope('admin'), (req, res) => {
+    let apiKey;
     try {
-        new URL(url);
+        apiKey = parseApiKeyRequest(req.body);
     } catch (error) {
-        return res.status(400).json({
-            success: false,
-            error: 'Invalid URL format'
-        });
+        if (error instanceof ValidationError) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+        throw error;
     }
 
     try {
-        // Add job to queue
-        const requestedAt = new Date().toISOString();
-        const result = db.prepare('INSERT INTO jobs (url, state, requestedAt) VALUES (?, ?, ?)')
-            .run(url, 'Waiting', requestedAt);
-
-        console.log(`Job ${result.lastInsertRowid} added to queue: ${url}`);
+        const key = 'pdfs_' + crypto.randomBytes(24).toString('base64url');
+        const result = db.prepare(`
+            INSERT INTO api_keys (name, keyPrefix, keyHash, scopes, maxConcurrentJobs, dailyJobQuota,
+                rateLimitPerMinute, rateLimitBurst, createdAt)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(apiKey.name, key.slice(0, 12), hashApiKey(key), JSON.stringify(apiKey.scopes), apiKey.maxConcurrentJobs,
+            apiKey.dailyJobQuota, apiKey.rateLimitPerMinute, apiKey.rateLimitBurst, new Date().toISOString());
 
-        // Trigger worker to check for new jobs
-        setImmediate(processNextJob);
-
-        // Send success response
+        console.log(`[Auth] API key ${result.lastInsertRowid} created: ${apiKey.name} (${apiKey.scopes.join(', ')})`);
         res.json({
             success: true,
-            jobId: result.lastInsertRowid,
-            message: 'Job added to queue',
-            url: url
+            key: key,
+            apiKey: formatApiKey(db.prepare('SELECT * FROM api_keys WHERE id = ?').get(result.lastInsertRowid))
         });
-
     } catch (error) {
-        console.error('Error adding job to queue:', error);
-
+        console.error('Error creating API key:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to add job to queue',
+            error: 'Failed to create API key',
             details: error.message
         });
     }
 });
 
 /**
- * GET /queue
- * Returns all jobs with their states and timestamps
+ * DELETE /api-keys/:id
+ * Revokes an API key. Its jobs are kept, and run unless they are cancelled.
  */
-app.get('/queue', (req, res) => {
+app.delete('/api-keys/:id', requireScope('admin'), (req, res) => {
     try {
-        const jobs = db.prepare('SELECT * FROM jobs ORDER BY id DESC').all();
+        const apiKeyId = parseInt(req.params.id);
+        const apiKey = isNaN(apiKeyId) ? null : db.prepare('SELECT * FROM api_keys WHERE id = ?').get(apiKeyId);
+        if (!apiKey) {
+            return res.status(404).json({
+                success: false,
+                error: 'API key not found'
+            });
+        }
+
+        if (!apiKey.revokedAt) {
+            db.prepare('UPDATE api_keys SET revokedAt = ? WHERE id = ?').run(new Date().toISOString(), apiKey.id);
+            rateLimitBuckets.delete(apiKey.id);
+            console.log(`[Auth] API key ${apiKey.id} revoked`);
+        }
+
         res.json({
             success: true,
-            jobs: jobs
+            message: 'API key revoked',
+            apiKey: formatApiKey(db.prepare('SELECT * FROM api_keys WHERE id = ?').get(apiKey.id))
         });
     } catch (error) {
-        console.error('Error fetching jobs:', error);
+        console.error('Error revoking API key:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to fetch jobs',
+            error: 'Failed to revoke API key',
             details: error.message
         });
     }
 });
 
 /**
- * GET /job/:id
- * Returns details of a specific job including error information
+ * POST /cleanup
+ * Removes finished jobs past their retention period and orphaned files right
+ * away, and reports what was removed. The body can override the configured
+ * retention, ask for a dry run, or vacuum the database.
+ *
+ * Request body: { "succeededDays": 7, "failedDays": 30, "dryRun": true, "vacuum": false }
  */
-app.get('/job/:id', (req, res) => {
+app.post('/cleanup', requireScope('admin'), (req, res) => {
+    const body = req.body === undefined ? {} : req.body;
+    let settings;
     try {
-        const jobId = parseInt(req.params.id);
-        if (isNaN(jobId)) {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid job ID'
-            });
+        if (!isPlainObject(body)) {
+            throw new ValidationError('Request body must be a JSON object');
         }
-        
-        const job = db.prepare('SELECT * FROM jobs WHERE id = ?').get(jobId);
-        
-        if (!job) {
-            return res.status(404).json({
+        settings = {
+            succeededDays: body.succeededDays === undefined ? RETENTION_DAYS : validateNumberInRange(body.succeededDays, 'succeededDays', 0, 36500),
+            failedDays: body.failedDays === undefined ? RETENTION_FAILED_DAYS : validateNumberInRange(body.failedDays, 'failedDays', 0, 36500),
+            dryRun: body.dryRun === undefined ? false : validateBoolean(body.dryRun, 'dryRun'),
+            vacuum: body.vacuum === undefined ? false : validateBoolean(body.vacuum, 'vacuum')
+        };
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({
                 success: false,
-                error: 'Job not found'
+                error: error.message
             });
         }
-        
+        throw error;
+    }
+
+    try {
+        const removed = cleanupJobs(settings);
+        const orphaned = removeOrphanedFiles(settings);
+        const vacuumedBytes = settings.vacuum && !settings.dryRun ? vacuumDatabase() : null;
+        console.log(`[Cleanup] ${settings.dryRun ? 'Dry run found' : 'Removed'} ${removed.jobs} job(s) and ${orphaned.files} orphaned file(s) on request`);
+
         res.json({
             success: true,
-            job: job
+            dryRun: settings.dryRun,
+            succeededDays: settings.succeededDays,
+            failedDays: settings.failedDays,
+            removed: {
+                ...removed,
+                orphanedFiles: orphaned.files,
+                orphanedBytes: orphaned.bytes
+            },
+            vacuumedBytes: vacuumedBytes
         });
     } catch (error) {
-        console.error('Error fetching job:', error);
+        console.error('Error cleaning up jobs:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to fetch job',
+            error: 'Failed to clean up jobs',
             details: error.message
         });
     }
@@ -537,6 +6730,10 @@ app.get('/queue-view', (req, res) => {
             background-color: #d1fae5;
             color: #065f46;
         }
+        .state-cancelled {
+            background-color: #e5e7eb;
+            color: #4b5563;
+        }
         .state-failed {
             background-color: #fee2e2;
             color: #991b1b;
@@ -604,6 +6801,145 @@ app.get('/queue-view', (req, res) => {
             font-size: 0.9em;
             opacity: 0.8;
         }
+        .filters {
+            display: flex;
+            gap: 10px;
+            margin-bottom: 15px;
+            flex-wrap: wrap;
+        }
+        .filters input, .filters select {
+            padding: 10px 14px;
+            border: none;
+            border-radius: 8px;
+            font-size: 0.95em;
+            box-shadow: 0 4px 6px rgba(0,0,0,0.1);
+        }
+        .filters input {
+            flex: 1;
+            min-width: 200px;
+        }
+        .job {
+            cursor: pointer;
+        }
+        .detail-overlay {
+            display: none;
+            position: fixed;
+            inset: 0;
+            background: rgba(0,0,0,0.5);
+            padding: 20px;
+            overflow-y: auto;
+            z-index: 1000;
+        }
+        .detail-overlay.open {
+            display: block;
+        }
+        .detail {
+            background: white;
+            border-radius: 10px;
+            box-shadow: 0 10px 30px rgba(0,0,0,0.3);
+            max-width: 1000px;
+            margin: 0 auto;
+            padding: 25px;
+        }
+        .detail-header {
+            display: flex;
+            align-items: center;
+            gap: 15px;
+            flex-wrap: wrap;
+            margin-bottom: 15px;
+        }
+        .detail-header h2 {
+            color: #2d3748;
+        }
+        .detail-url {
+            color: #2d3748;
+            word-break: break-all;
+            margin-bottom: 15px;
+        }
+        .detail h3 {
+            color: #4a5568;
+            font-size: 0.9em;
+            text-transform: uppercase;
+            margin: 25px 0 10px;
+        }
+        .detail pre {
+            background: #1f2937;
+            color: #f9fafb;
+            padding: 15px;
+            border-radius: 8px;
+            font-size: 0.8em;
+            white-space: pre-wrap;
+            word-break: break-word;
+            max-height: 400px;
+            overflow-y: auto;
+        }
+        .detail table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 0.85em;
+        }
+        .detail th, .detail td {
+            text-align: left;
+            padding: 8px;
+            border-bottom: 1px solid #e2e8f0;
+            vertical-align: top;
+        }
+        .detail-fields {
+            display: grid;
+            grid-template-columns: repeat(auto-fill, minmax(180px, 1fr));
+            gap: 15px;
+        }
+        .detail-field-value {
+            color: #2d3748;
+            word-break: break-word;
+        }
+        .actions {
+            display: flex;
+            gap: 10px;
+            flex-wrap: wrap;
+            margin-left: auto;
+        }
+        .button {
+            padding: 8px 16px;
+            border: none;
+            border-radius: 20px;
+            background: #4a5568;
+            color: white;
+            font-weight: bold;
+            cursor: pointer;
+        }
+        .button-danger {
+            background: #dc2626;
+        }
+        .button-link {
+            padding: 4px 10px;
+            font-size: 0.85em;
+        }
+        .timings {
+            display: flex;
+            height: 14px;
+            min-width: 200px;
+            border-radius: 4px;
+            overflow: hidden;
+            background: #f3f4f6;
+            margin-bottom: 4px;
+        }
+        .timing-launch { background: #9ca3af; }
+        .timing-setup { background: #a78bfa; }
+        .timing-navigation { background: #60a5fa; }
+        .timing-wait { background: #fbbf24; }
+        .timing-render { background: #34d399; }
+        .preview iframe {
+            width: 100%;
+            height: 600px;
+            border: 1px solid #e2e8f0;
+            border-radius: 8px;
+        }
+        .preview img {
+            max-width: 100%;
+            border: 1px solid #e2e8f0;
+            border-radius: 8px;
+        }
         @media (max-width: 768px) {
             .job-header, .job {
                 grid-template-columns: 1fr;
@@ -644,6 +6980,22 @@ app.get('/queue-view', (req, res) => {
                 <div class="stat-value" id="executed-jobs" style="color: #059669;">0</div>
                 <div class="stat-label">Executed</div>
             </div>
+            <div class="stat-card">
+                <div class="stat-value" id="cancelled-jobs" style="color: #6b7280;">0</div>
+                <div class="stat-label">Cancelled</div>
+            </div>
+        </div>
+        
+        <div class="filters">
+            <input type="search" id="filter-url" placeholder="Search URLs...">
+            <select id="filter-status">
+                <option value="">All jobs</option>
+                <option value="Waiting">Waiting</option>
+                <option value="Running">Running</option>
+                <option value="Succeeded">Succeeded</option>
+                <option value="Failed">Failed</option>
+                <option value="Cancelled">Cancelled</option>
+            </select>
         </div>
         
         <div class="jobs-container">
@@ -664,7 +7016,11 @@ app.get('/queue-view', (req, res) => {
             </div>
         </div>
         
-        <p class="refresh-info">⟳ Auto-refreshing every 2 seconds</p>
+        <p class="refresh-info" id="refresh-info">⟳ Connecting...</p>
+    </div>
+    
+    <div class="detail-overlay" id="job-detail">
+        <div class="detail" id="job-detail-content"></div>
     </div>
     
     <script>
@@ -683,85 +7039,603 @@ app.get('/queue-view', (req, res) => {
         
         function sanitizeCssClass(text) {
             // Only allow known states for CSS class names
-            const validStates = ['waiting', 'running', 'executed'];
+            const validStates = ['waiting', 'running', 'executed', 'cancelled'];
             const normalized = String(text).toLowerCase();
             return validStates.includes(normalized) ? normalized : 'unknown';
         }
         
-        function updateQueue() {
-            fetch('/queue')
+        const JOB_LIST_LIMIT = 200;
+        const RECONNECT_DELAY = 5000;
+        const REFRESH_DELAY = 1000;
+        
+        // Listed jobs by ID: loaded once from GET /queue, then kept up to date from GET /events
+        const jobs = new Map();
+        let lastEventId = null;
+        let eventStream = null;
+        let renderPending = false;
+        let refreshTimer = null;
+        let loadCount = 0;
+        
+        // The status filter's choices as GET /queue filters
+        const STATUS_FILTERS = {
+            Waiting: { state: 'Waiting' },
+            Running: { state: 'Running' },
+            Succeeded: { state: 'Executed', success: 'true' },
+            Failed: { state: 'Executed', success: 'false' },
+            Cancelled: { state: 'Cancelled' }
+        };
+        
+        function getFilters() {
+            const filters = { ...(STATUS_FILTERS[document.getElementById('filter-status').value] || {}) };
+            const url = document.getElementById('filter-url').value.trim();
+            if (url) filters.url = url;
+            return filters;
+        }
+        
+        // Events are checked against the filters here, as GET /queue does on the server
+        function matchesFilters(job) {
+            const filters = getFilters();
+            return (!filters.state || job.state === filters.state)
+                && (!filters.success || job.success === (filters.success === 'true' ? 1 : 0))
+                && (!filters.url || job.url.toLowerCase().includes(filters.url.toLowerCase()));
+        }
+        
+        // When the server requires API keys, the dashboard asks for one with the read scope once
+        let askedForApiKey = false;
+        function apiHeaders() {
+            const apiKey = localStorage.getItem('pdfServerApiKey');
+            return apiKey ? { 'Authorization': 'Bearer ' + apiKey } : {};
+        }
+        
+        function updateStats() {
+            fetch('/queue/stats', { headers: apiHeaders() })
+                .then(response => response.json())
+                .then(data => {
+                    if (data.success && data.stats) {
+                        document.getElementById('total-jobs').textContent = data.stats.total;
+                        document.getElementById('waiting-jobs').textContent = data.stats.states.Waiting;
+                        document.getElementById('running-jobs').textContent = data.stats.states.Running;
+                        document.getElementById('executed-jobs').textContent = data.stats.states.Executed;
+                        document.getElementById('cancelled-jobs').textContent = data.stats.states.Cancelled;
+                    }
+                })
+                .catch(error => {
+                    console.error('Error fetching queue stats:', error);
+                });
+        }
+        
+        // Events do not carry queue positions, which shift whenever any job starts or finishes
+        function updatePositions() {
+            fetch('/queue?state=Waiting&limit=' + JOB_LIST_LIMIT, { headers: apiHeaders() })
                 .then(response => response.json())
                 .then(data => {
                     if (data.success && data.jobs) {
-                        const jobs = data.jobs;
-                        
-                        // Update stats
-                        const waitingCount = jobs.filter(j => j.state === 'Waiting').length;
-                        const runningCount = jobs.filter(j => j.state === 'Running').length;
-                        const executedCount = jobs.filter(j => j.state === 'Executed').length;
-                        
-                        document.getElementById('total-jobs').textContent = jobs.length;
-                        document.getElementById('waiting-jobs').textContent = waitingCount;
-                        document.getElementById('running-jobs').textContent = runningCount;
-                        document.getElementById('executed-jobs').textContent = executedCount;
-                        
-                        // Update jobs list
-                        const jobsList = document.getElementById('jobs-list');
-                        if (jobs.length === 0) {
-                            jobsList.innerHTML = \`
-                                <div class="empty-state">
-                                    <div class="empty-state-icon">📭</div>
-                                    <p>No jobs in queue</p>
-                                </div>
-                            \`;
-                        } else {
-                            jobsList.innerHTML = jobs.map(job => {
-                                let resultHtml = '';
-                                if (job.state === 'Executed') {
-                                    if (job.success === 1) {
-                                        resultHtml = '<div class="job-status status-success">✓ Success</div>';
-                                    } else {
-                                        const errorText = job.error ? job.error.substring(0, 100) + '...' : 'Unknown error';
-                                        resultHtml = \`<div class="job-status status-failed" title="\${escapeHtml(job.error || 'Unknown error')}">✗ Failed</div>\`;
-                                    }
-                                } else {
-                                    resultHtml = '<div class="job-status status-pending">-</div>';
-                                }
-                                
-                                return \`
-                                <div class="job">
-                                    <div class="job-id">#\${escapeHtml(job.id)}</div>
-                                    <div class="job-url" title="\${escapeHtml(job.url)}">\${escapeHtml(job.url)}</div>
-                                    <div class="job-state state-\${sanitizeCssClass(job.state)}">\${escapeHtml(job.state)}</div>
-                                    <div>\${resultHtml}</div>
-                                    <div class="job-timestamp">\${escapeHtml(formatTimestamp(job.requestedAt))}</div>
-                                    <div class="job-timestamp">\${escapeHtml(formatTimestamp(job.startedAt))}</div>
-                                    <div class="job-timestamp">\${escapeHtml(formatTimestamp(job.finishedAt))}</div>
-                                </div>
-                            \`;
-                            }).join('');
+                        data.jobs.forEach(job => {
+                            const listed = jobs.get(job.id);
+                            if (listed && listed.state === 'Waiting') {
+                                listed.queuePosition = job.queuePosition;
+                            }
+                        });
+                        scheduleRender();
+                    }
+                })
+                .catch(error => {
+                    console.error('Error fetching queue positions:', error);
+                });
+        }
+        
+        function scheduleRefresh() {
+            if (refreshTimer) return;
+            refreshTimer = setTimeout(() => {
+                refreshTimer = null;
+                updateStats();
+                if (Array.from(jobs.values()).some(job => job.state === 'Waiting')) {
+                    updatePositions();
+                }
+            }, REFRESH_DELAY);
+        }
+        
+        function renderJob(job) {
+            let resultHtml = '';
+            if (job.state === 'Executed') {
+                if (job.success === 1) {
+                    resultHtml = '<div class="job-status status-success">✓ Success</div>';
+                } else {
+                    resultHtml = \`<div class="job-status status-failed" title="\${escapeHtml(job.error || 'Unknown error')}">✗ Failed</div>\`;
+                }
+            } else if (job.state === 'Cancelled') {
+                resultHtml = '<div class="job-status status-pending">⊘ Cancelled</div>';
+            } else if (job.state === 'Waiting' && job.queuePosition) {
+                const scheduled = job.runAt && new Date(job.runAt) > new Date();
+                const positionText = scheduled ? 'Scheduled ' + formatTimestamp(job.runAt) : 'Position ' + job.queuePosition;
+                resultHtml = \`<div class="job-status status-pending" title="Priority \${escapeHtml(job.priority)}">\${escapeHtml(positionText)}</div>\`;
+            } else {
+                resultHtml = '<div class="job-status status-pending">-</div>';
+            }
+            
+            return \`
+            <div class="job" data-job-id="\${escapeHtml(job.id)}">
+                <div class="job-id">#\${escapeHtml(job.id)}</div>
+                <div class="job-url" title="\${escapeHtml(job.url)}">\${escapeHtml(job.url)}</div>
+                <div class="job-state state-\${sanitizeCssClass(job.state)}">\${escapeHtml(job.state)}</div>
+                <div>\${resultHtml}</div>
+                <div class="job-timestamp">\${escapeHtml(formatTimestamp(job.requestedAt))}</div>
+                <div class="job-timestamp">\${escapeHtml(formatTimestamp(job.startedAt))}</div>
+                <div class="job-timestamp">\${escapeHtml(formatTimestamp(job.finishedAt))}</div>
+            </div>
+        \`;
+        }
+        
+        function renderJobs() {
+            renderPending = false;
+            const jobsList = document.getElementById('jobs-list');
+            if (jobs.size === 0) {
+                jobsList.innerHTML = \`
+                    <div class="empty-state">
+                        <div class="empty-state-icon">📭</div>
+                        <p>No jobs in queue</p>
+                    </div>
+                \`;
+                return;
+            }
+            jobsList.innerHTML = Array.from(jobs.values())
+                .sort((a, b) => b.id - a.id)
+                .map(renderJob)
+                .join('');
+        }
+        
+        // Several events in a row are rendered at once
+        function scheduleRender() {
+            if (!renderPending) {
+                renderPending = true;
+                requestAnimationFrame(renderJobs);
+            }
+        }
+        
+        function applyEvent(type, job) {
+            if (type === 'job.deleted' || !matchesFilters(job)) {
+                jobs.delete(job.id);
+            } else if (jobs.has(job.id) || jobs.size < JOB_LIST_LIMIT || job.id > Math.min(...jobs.keys())) {
+                jobs.set(job.id, job);
+                // Only the latest jobs are listed, the counters cover all of them
+                if (jobs.size > JOB_LIST_LIMIT) {
+                    jobs.delete(Math.min(...jobs.keys()));
+                }
+            }
+            if (job.id === openJobId) {
+                scheduleDetailRefresh(type === 'job.deleted');
+            }
+            scheduleRender();
+            scheduleRefresh();
+        }
+        
+        function handleMessage(message) {
+            let id = null;
+            let type = 'message';
+            let data = '';
+            message.split('\\n').forEach(line => {
+                if (line.startsWith('id: ')) id = line.slice(4);
+                else if (line.startsWith('event: ')) type = line.slice(7);
+                else if (line.startsWith('data: ')) data += line.slice(6);
+            });
+            if (!data) return; // Keepalive comments and the retry interval
+            if (id) lastEventId = id;
+            
+            if (type === 'reset') {
+                // Events were missed, e.g. the server restarted
+                loadQueue();
+            } else {
+                applyEvent(type, JSON.parse(data).job);
+            }
+        }
+        
+        // EventSource cannot send the API key, so the stream is read with fetch
+        function setStreamStatus(text) {
+            document.getElementById('refresh-info').textContent = text;
+        }
+        
+        function connectEvents() {
+            const controller = new AbortController();
+            eventStream = controller;
+            fetch('/events', {
+                headers: { ...apiHeaders(), 'Last-Event-ID': lastEventId },
+                signal: controller.signal
+            })
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error('Event stream answered ' + response.status);
+                    }
+                    setStreamStatus('⟳ Live updates');
+                    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+                    let buffer = '';
+                    function read() {
+                        return reader.read().then(({ done, value }) => {
+                            if (done) {
+                                throw new Error('Event stream closed');
+                            }
+                            buffer += value;
+                            const messages = buffer.split('\\n\\n');
+                            buffer = messages.pop();
+                            messages.forEach(handleMessage);
+                            return read();
+                        });
+                    }
+                    return read();
+                })
+                .catch(error => {
+                    if (controller.signal.aborted) return;
+                    console.error('Error reading events:', error);
+                    setStreamStatus('⟳ Reconnecting...');
+                    setTimeout(connectEvents, RECONNECT_DELAY);
+                });
+        }
+        
+        // Loads the latest jobs and follows the events that come after them
+        function loadQueue() {
+            if (eventStream) {
+                eventStream.abort();
+                eventStream = null;
+            }
+            updateStats();
+            
+            const load = ++loadCount;
+            const query = new URLSearchParams({ ...getFilters(), limit: JOB_LIST_LIMIT });
+            let apiKeyEntered = false;
+            fetch('/queue?' + query, { headers: apiHeaders() })
+                .then(response => {
+                    if ((response.status === 401 || response.status === 403) && !askedForApiKey) {
+                        askedForApiKey = true;
+                        const apiKey = window.prompt('This server requires an API key with the read scope:');
+                        if (apiKey) {
+                            localStorage.setItem('pdfServerApiKey', apiKey.trim());
+                            askedForApiKey = false;
+                            apiKeyEntered = true;
                         }
                     }
+                    return response.json();
+                })
+                .then(data => {
+                    if (load !== loadCount) return; // The filters changed in the meantime
+                    if (!data.success || !data.jobs) {
+                        setTimeout(loadQueue, apiKeyEntered ? 0 : RECONNECT_DELAY);
+                        return;
+                    }
+                    jobs.clear();
+                    data.jobs.forEach(job => jobs.set(job.id, job));
+                    renderJobs();
+                    lastEventId = data.lastEventId;
+                    connectEvents();
                 })
                 .catch(error => {
+                    if (load !== loadCount) return;
                     console.error('Error fetching queue:', error);
+                    setTimeout(loadQueue, RECONNECT_DELAY);
+                });
+        }
+        
+        const PHASES = ['launch', 'setup', 'navigation', 'wait', 'render'];
+        let openJobId = null;
+        let detailTimer = null;
+        let detailObjectUrls = [];
+        
+        function formatDuration(ms) {
+            return ms < 1000 ? ms + ' ms' : (ms / 1000).toFixed(1) + ' s';
+        }
+        
+        function formatSize(bytes) {
+            if (bytes == null) return '-';
+            if (bytes < 1024) return bytes + ' B';
+            if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
+            return (bytes / 1024 / 1024).toFixed(1) + ' MB';
+        }
+        
+        function renderTimings(timings) {
+            if (!timings) return '-';
+            const phases = PHASES.filter(phase => timings[phase] !== undefined);
+            const total = phases.reduce((sum, phase) => sum + timings[phase], 0) || 1;
+            const bar = phases.map(phase =>
+                \`<div class="timing-\${phase}" style="width: \${timings[phase] / total * 100}%" title="\${phase} \${formatDuration(timings[phase])}"></div>\`
+            ).join('');
+            const text = phases.map(phase => phase + ' ' + formatDuration(timings[phase])).join(' · ');
+            return \`<div class="timings">\${bar}</div><div class="job-timestamp">\${escapeHtml(text)}</div>\`;
+        }
+        
+        function renderJobDetail(job, attempts, artifacts) {
+            const failed = job.state === 'Executed' && job.success !== 1;
+            const actions = [];
+            if (failed || job.state === 'Cancelled') actions.push('<button class="button" data-action="retry">Retry</button>');
+            if (job.state === 'Waiting' || job.state === 'Running') actions.push('<button class="button" data-action="cancel">Cancel</button>');
+            actions.push('<button class="button" data-action="duplicate">Duplicate</button>');
+            actions.push('<button class="button button-danger" data-action="delete">Delete</button>');
+            actions.push('<button class="button" data-action="close" title="Close">✕</button>');
+            
+            const fields = [
+                ['Requested', formatTimestamp(job.requestedAt)],
+                ['Started', formatTimestamp(job.startedAt)],
+                ['Finished', formatTimestamp(job.finishedAt)],
+                ['Run at', formatTimestamp(job.runAt)],
+                ['Queue position', job.queuePosition || '-'],
+                ['Priority', job.priority],
+                ['Attempts', job.attempts],
+                ['Error code', job.errorCode || '-'],
+                ['HTTP status', job.httpStatus || '-'],
+                ['Completed by', job.completedBy || '-'],
+                ['Worker slot', job.workerSlot || '-'],
+                ['Output', job.outputFormat ? job.outputFormat + ', ' + formatSize(job.outputSize) : '-']
+            ];
+            const stateText = failed ? 'Failed' : job.state;
+            
+            let html = \`
+                <div class="detail-header">
+                    <h2>Job #\${escapeHtml(job.id)}</h2>
+                    <div class="job-state state-\${failed ? 'failed' : sanitizeCssClass(job.state)}">\${escapeHtml(stateText)}</div>
+                    <div class="actions">\${actions.join('')}</div>
+                </div>
+                <div class="detail-url">\${escapeHtml(job.url)}</div>
+                <div class="detail-fields">
+                    \${fields.map(([label, value]) => \`
+                        <div>
+                            <div class="stat-label">\${escapeHtml(label)}</div>
+                            <div class="detail-field-value">\${escapeHtml(value)}</div>
+                        </div>
+                    \`).join('')}
+                </div>
+            \`;
+            
+            if (job.error) {
+                html += \`<h3>Error</h3><pre>\${escapeHtml(job.error)}</pre>\`;
+            }
+            
+            if (attempts.length > 0) {
+                html += \`
+                    <h3>Attempts</h3>
+                    <table>
+                        <tr><th>#</th><th>Started</th><th>Result</th><th>Time per phase</th></tr>
+                        \${attempts.map(attempt => \`
+                            <tr>
+                                <td>\${escapeHtml(attempt.attempt)}</td>
+                                <td>\${escapeHtml(formatTimestamp(attempt.startedAt))}</td>
+                                <td>\${escapeHtml(attempt.finishedAt ? (attempt.success === 1 ? 'Success' : attempt.errorCode || 'Failed') : 'Running')}</td>
+                                <td>\${renderTimings(attempt.timings)}</td>
+                            </tr>
+                        \`).join('')}
+                    </table>
+                \`;
+            }
+            
+            if (artifacts.length > 0) {
+                html += \`
+                    <h3>Artifacts</h3>
+                    <table>
+                        <tr><th>Name</th><th>Kind</th><th>Size</th><th></th></tr>
+                        \${artifacts.map(artifact => {
+                            const previewable = artifact.mimeType === 'application/pdf' || artifact.mimeType.startsWith('image/');
+                            return \`
+                                <tr>
+                                    <td>\${escapeHtml(artifact.name)}</td>
+                                    <td>\${escapeHtml(artifact.kind)}</td>
+                                    <td>\${escapeHtml(formatSize(artifact.size))}</td>
+                                    <td>
+                                        <button class="button button-link" data-download="\${escapeHtml(artifact.url)}" data-name="\${escapeHtml(artifact.name)}">Download</button>
+                                        \${previewable ? \`<button class="button button-link" data-preview="\${escapeHtml(artifact.url)}" data-mime-type="\${escapeHtml(artifact.mimeType)}">Preview</button>\` : ''}
+                                    </td>
+                                </tr>
+                            \`;
+                        }).join('')}
+                    </table>
+                    <div class="preview" id="detail-preview"></div>
+                \`;
+            }
+            
+            html += \`<h3>Options</h3><pre>\${escapeHtml(JSON.stringify(job.options, null, 2))}</pre>\`;
+            document.getElementById('job-detail-content').innerHTML = html;
+            
+            // The rendered output is shown right away
+            const output = artifacts.find(artifact => artifact.kind === 'output');
+            if (output && (output.mimeType === 'application/pdf' || output.mimeType.startsWith('image/'))) {
+                previewArtifact(output.url, output.mimeType);
+            }
+        }
+        
+        function revokeObjectUrls() {
+            detailObjectUrls.forEach(url => URL.revokeObjectURL(url));
+            detailObjectUrls = [];
+        }
+        
+        // Job files need the API key, so they are fetched and opened from object URLs
+        function fetchObjectUrl(url) {
+            return fetch(url, { headers: apiHeaders() })
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error('Download failed with status ' + response.status);
+                    }
+                    return response.blob();
+                })
+                .then(blob => {
+                    const objectUrl = URL.createObjectURL(blob);
+                    detailObjectUrls.push(objectUrl);
+                    return objectUrl;
+                });
+        }
+        
+        function downloadArtifact(url, name) {
+            fetchObjectUrl(url)
+                .then(objectUrl => {
+                    const link = document.createElement('a');
+                    link.href = objectUrl;
+                    link.download = name;
+                    link.click();
+                })
+                .catch(error => window.alert(error.message));
+        }
+        
+        function previewArtifact(url, mimeType) {
+            const jobId = openJobId;
+            fetchObjectUrl(url)
+                .then(objectUrl => {
+                    const preview = document.getElementById('detail-preview');
+                    if (!preview || openJobId !== jobId) return;
+                    preview.innerHTML = mimeType === 'application/pdf'
+                        ? \`<iframe src="\${objectUrl}"></iframe>\`
+                        : \`<img src="\${objectUrl}" alt="Preview">\`;
+                })
+                .catch(error => {
+                    console.error('Error loading preview:', error);
+                });
+        }
+        
+        function loadJobDetail() {
+            const jobId = openJobId;
+            Promise.all(['', '/attempts', '/artifacts'].map(path =>
+                fetch('/job/' + jobId + path, { headers: apiHeaders() }).then(response => response.json())
+            ))
+                .then(([jobData, attemptsData, artifactsData]) => {
+                    if (openJobId !== jobId) return;
+                    revokeObjectUrls();
+                    if (!jobData.success) {
+                        document.getElementById('job-detail-content').innerHTML = \`
+                            <div class="detail-header">
+                                <h2>Job #\${escapeHtml(jobId)}</h2>
+                                <div class="actions"><button class="button" data-action="close" title="Close">✕</button></div>
+                            </div>
+                            <p>\${escapeHtml(jobData.error || 'The job could not be loaded')}</p>
+                        \`;
+                        return;
+                    }
+                    renderJobDetail(jobData.job, attemptsData.attempts || [], artifactsData.artifacts || []);
+                })
+                .catch(error => {
+                    console.error('Error fetching job:', error);
                 });
         }
         
-        // Initial load
-        updateQueue();
+        // Events about the open job reload it, once for a burst of them
+        function scheduleDetailRefresh(deleted) {
+            clearTimeout(detailTimer);
+            detailTimer = setTimeout(loadJobDetail, deleted ? 0 : REFRESH_DELAY);
+        }
+        
+        function showJob(jobId) {
+            openJobId = jobId;
+            document.getElementById('job-detail-content').innerHTML = '<p>Loading...</p>';
+            document.getElementById('job-detail').classList.add('open');
+            loadJobDetail();
+        }
+        
+        function closeJob() {
+            openJobId = null;
+            clearTimeout(detailTimer);
+            revokeObjectUrls();
+            document.getElementById('job-detail').classList.remove('open');
+        }
+        
+        function runJobAction(action) {
+            const jobId = openJobId;
+            if (action === 'close') {
+                closeJob();
+                return;
+            }
+            if (action === 'delete' && !window.confirm('Delete job #' + jobId + ' with all its files?')) {
+                return;
+            }
+            
+            const path = action === 'delete' ? '' : '/' + action;
+            fetch('/job/' + jobId + path, { method: action === 'delete' ? 'DELETE' : 'POST', headers: apiHeaders() })
+                .then(response => response.json())
+                .then(data => {
+                    if (!data.success) {
+                        window.alert(data.error || 'The job could not be changed');
+                    } else if (action === 'delete') {
+                        closeJob();
+                    } else if (action === 'duplicate') {
+                        showJob(data.jobId);
+                    } else {
+                        loadJobDetail();
+                    }
+                })
+                .catch(error => window.alert(error.message));
+        }
+        
+        document.getElementById('jobs-list').addEventListener('click', event => {
+            const row = event.target.closest('.job');
+            if (row) {
+                showJob(Number(row.dataset.jobId));
+            }
+        });
+        
+        document.getElementById('job-detail').addEventListener('click', event => {
+            const target = event.target;
+            if (target.id === 'job-detail') {
+                closeJob(); // A click next to the panel
+            } else if (target.dataset.action) {
+                runJobAction(target.dataset.action);
+            } else if (target.dataset.download) {
+                downloadArtifact(target.dataset.download, target.dataset.name);
+            } else if (target.dataset.preview) {
+                previewArtifact(target.dataset.preview, target.dataset.mimeType);
+            }
+        });
+        
+        document.addEventListener('keydown', event => {
+            if (event.key === 'Escape' && openJobId !== null) {
+                closeJob();
+            }
+        });
         
-        // Auto-refresh every 2 seconds
-        setInterval(updateQueue, 2000);
+        let searchTimer = null;
+        document.getElementById('filter-url').addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(loadQueue, 300);
+        });
+        document.getElementById('filter-status').addEventListener('change', loadQueue);
+        
+        loadQueue();
     </script>
 </body>
 </html>
     `);
 });
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-    res.json({ status: 'ok' });
+// Liveness: the process answers and its worker loop is running. GET /health
+// is the same check, for probes configured before the split.
+function sendLiveness(req, res) {
+    const worker = getWorkerHealth();
+    res.status(worker.status === 'ok' ? 200 : 503).json({
+        status: worker.status,
+        checks: { worker: worker }
+    });
+}
+
+app.get('/health', sendLiveness);
+app.get('/health/live', sendLiveness);
+
+// Readiness: the database answers and Chrome can start
+app.get('/health/ready', async (req, res) => {
+    const checks = {
+        database: checkDatabase(),
+        browser: await checkBrowser()
+    };
+    const ready = Object.values(checks).every(check => check.status === 'ok');
+    res.status(ready ? 200 : 503).json({
+        status: ready ? 'ok' : 'fail',
+        checks: checks
+    });
+});
+
+// Prometheus metrics
+app.get('/metrics', requireScope('metrics'), async (req, res) => {
+    try {
+        const metrics = await metricsRegistry.metrics();
+        res.set('Content-Type', metricsRegistry.contentType);
+        res.send(metrics);
+    } catch (error) {
+        console.error('Error collecting metrics:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to collect metrics',
+            details: error.message
+        });
+    }
 });
 
 // Root endpoint with API information
@@ -770,11 +7644,49 @@ app.get('/', (req, res) => {
         name: 'Node.js PDF Server with Queue System',
         version: '2.0.0',
         endpoints: {
-            'POST /runPdf': 'Add a URL to the job queue. Body: { "url": "http://example.com" }',
-            'GET /queue': 'Get all jobs with their states and timestamps',
+            'POST /runPdf': 'Add a URL or HTML document to the job queue. Body: { "url": "http://example.com", "output": "pdf", "pdf": { "format": "a4" } } or { "html": "<h1>Hi</h1>" }, or multipart with a .html/.zip file',
+            'POST /render': 'Same body as POST /runPdf, answers with the PDF or image once the job has finished (?timeout=60000&cancelOnDisconnect=true), or 202 with the job ID on timeout',
+            'GET /queue': 'Get a page of jobs with their states and timestamps (?state=Waiting,Running&url=example&sort=requestedAt&limit=100&cursor=...)',
+            'GET /queue/stats': 'Get the number of jobs in each state (same filters as GET /queue)',
+            'GET /events': 'Stream job.created, job.state_changed, job.finished and job.deleted events (Server-Sent Events, ?jobId=1,2&state=Executed, resumes from Last-Event-ID)',
             'GET /job/:id': 'Get detailed information about a specific job including errors',
+            'GET /job/:id/output': 'Download the rendered output (PDF or image) of a finished job',
+            'GET /job/:id/pdf': 'Download the rendered PDF of a finished job',
+            'GET /job/:id/artifacts': 'List the files a job produced (its output and any downloads)',
+            'GET /job/:id/artifacts/:name': 'Download a single artifact of a job',
+            'GET /job/:id/attempts': 'Get the history of every attempt to run a job',
+            'GET /job/:id/logs': 'Get the console output, page errors and failed requests of a job (?level=warn, ?format=ndjson)',
+            'GET /job/:id/deliveries': 'Get every attempt to deliver the job\'s webhook callback',
+            'POST /job/:id/cancel': 'Cancel a waiting job or abort a running one',
+            'POST /job/:id/retry': 'Put a failed or cancelled job back in the queue',
+            'POST /job/:id/duplicate': 'Submit a new job with the URL or document and options of an existing one',
+            'DELETE /job/:id': 'Delete a job with its history and files (aborting it if it is running)',
+            'POST /batches': 'Add many jobs at once. Body: { "defaults": { "pdf": { "format": "a4" } }, "jobs": [{ "url": "http://example.com/1", "name": "statement-1" }], "callbackUrl": "..." }',
+            'GET /batches/:id': 'Get the progress of a batch and the status of each of its jobs',
+            'GET /batches/:id/download': 'Download a zip of a batch\'s outputs with a manifest of its failures (?partial=true before it has finished)',
+            'GET /batches/:id/deliveries': 'Get every attempt to deliver the batch\'s webhook callback',
+            'GET /schedules': 'List recurring job schedules',
+            'POST /schedules': 'Create a schedule. Body: { "cron": "0 2 * * *", "timezone": "UTC", "job": { "url": "http://example.com" } }',
+            'GET /schedules/:id': 'Get a single schedule',
+            'PATCH /schedules/:id': 'Change a schedule\'s cron expression, time zone, missed run policy, job template or enabled flag',
+            'DELETE /schedules/:id': 'Delete a schedule (its jobs are kept)',
+            'GET /schedules/:id/jobs': 'List the jobs a schedule has enqueued',
+            'GET /templates': 'List document templates',
+            'POST /templates': 'Create a template. Body: { "name": "Invoice", "html": "<h1>Invoice {{number}}</h1>", "options": { "pdf": { "format": "a4" } } }',
+            'GET /templates/:id': 'Get a template with its latest version and version list',
+            'POST /templates/:id/versions': 'Add a new version of a template. Body: { "html": "...", "options": { ... } }',
+            'GET /templates/:id/versions/:version': 'Get one version of a template',
+            'DELETE /templates/:id': 'Delete a template and its versions (its jobs are kept)',
+            'POST /templates/:id/render': 'Merge data into a template and queue the document. Body: { "data": { "number": 42 } }',
+            'GET /api-keys': 'List API keys (admin)',
+            'POST /api-keys': 'Create an API key (admin). Body: { "name": "Billing service", "scopes": ["submit", "read"] }',
+            'DELETE /api-keys/:id': 'Revoke an API key (admin)',
+            'POST /cleanup': 'Remove finished jobs past their retention period now (admin). Body: { "succeededDays": 7, "failedDays": 30, "dryRun": true }',
             'GET /queue-view': 'View a visual representation of the job queue (HTML)',
-            'GET /health': 'Health check endpoint'
+            'GET /health': 'Health check, the same as GET /health/live',
+            'GET /health/live': 'Liveness check: 503 when the worker loop has stalled',
+            'GET /health/ready': 'Readiness check: 503 when the database does not answer or Chrome cannot start',
+            'GET /metrics': 'Queue, job and browser metrics in the Prometheus text format (metrics scope)'
         }
     });
 });